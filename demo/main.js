@@ -25,14 +25,12 @@ function init() {
     //Shadow DOM:
     //https://github.com/Sphinxxxx/vanilla-picker/issues/15
     if (containerShadow.attachShadow) {
+        //The picker adds its CSS to the shadow root when it's shown..
         var shadow = containerShadow.attachShadow({ mode: 'open' });
-        if(Picker.StyleElement) {
-            shadow.appendChild(Picker.StyleElement.cloneNode(true));
-        }
-        //For strict CSP settings:
-        else {
+        //..except with the CSP build (see index.html), which has no CSS of its own. Link the CSP stylesheet instead:
+        if (document.querySelector('link[href$="vanilla-picker.csp.css"]')) {
             //<link rel="stylesheet" href="../dist/vanilla-picker.csp.css">
-            const stylesheet = document.createElement('link');
+            var stylesheet = document.createElement('link');
             stylesheet.rel = 'stylesheet';
             stylesheet.href = '../dist/vanilla-picker.csp.css';
             shadow.appendChild(stylesheet);
@@ -82,7 +80,7 @@ function init() {
     /* Shared picker */
     popupShared = new Picker({
         editorFormat: 'hsl',
-        onChange: function (color) {
+        onInput: function (color) {
             this.settings.parent.style.backgroundColor = color.rgbaString;
         }
     });
@@ -105,7 +103,7 @@ function init() {
         //editor: false,
         editorFormat: 'rgb',
         color: '#cef6',
-        onChange: function (color) {
+        onInput: function (color) {
             document.body.style.backgroundColor = color.rgbaString;
         },
     });
@@ -118,7 +116,7 @@ function init() {
             parent: parentShadow,
             editor: false,
             cancelButton: true,
-            onChange: function (color) {
+            onInput: function (color) {
                 parentShadow.style.color = color.rgbaString;
             },
             onDone: function (color) {
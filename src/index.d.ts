@@ -2,6 +2,16 @@ declare module 'vanilla-picker' {
   interface Color {
     rgba: number[];
     hsla: number[];
+    hsva: number[];
+    oklch: number[];
+    oklab: number[];
+    oklchString: string;
+    clone(): Color;
+    readonly name: string | null;
+    printRGB4(alpha?: boolean): string;
+    printHWB(alpha?: boolean): string;
+    printHSV(alpha?: boolean): string;
+    printARGB(): string;
     rgbString: string;
     rgbaString: string;
     hslString: string;
@@ -11,35 +21,121 @@ declare module 'vanilla-picker' {
 
   type ColorCallback = (color: Color) => void;
 
+  type EditorFormat = 'hex' | 'rgb' | 'rgb4' | 'hsl' | 'hsv' | 'hwb' | 'oklch' | 'name' | 'argb' | string;
+
+  interface ColorFormat {
+    print(color: Color, alpha: boolean): string;
+    parse?(text: string): string | number[] | null | false;
+    label?: string;
+  }
+
+  type HarmonyType = 'complementary' | 'split' | 'triadic' | 'tetradic' | 'analogous' | 'monochromatic';
+
+  type PickerEventType = 'change' | 'input' | 'done' | 'open' | 'close' | 'cancel' | 'historyChange';
+
+  interface PickerEvent {
+    type: PickerEventType;
+    target: Picker;
+    detail: Color;
+  }
+
+  type PickerEventListener = (event: PickerEvent) => void;
+
+  interface ColorStorage {
+    get(): string[];
+    set(colors: string[]): void;
+  }
+
+  class MemoryStorage implements ColorStorage {
+    constructor();
+    get(): string[];
+    set(colors: string[]): void;
+  }
+
+  class LocalStorage implements ColorStorage {
+    constructor(key?: string);
+    key: string;
+    get(): string[];
+    set(colors: string[]): void;
+  }
+
   interface Options {
     parent?: HTMLElement;
-    popup?: 'top' | 'bottom' | 'left' | 'right' | false;
+    popup?: 'top' | 'bottom' | 'left' | 'right' | 'auto' | false;
+    popupOrder?: Array<'top' | 'bottom' | 'left' | 'right'>;
     manualPopup?: boolean;
+    appendTo?: HTMLElement;
     template?: string;
-    layout?: string;
+    layout?: 'default' | 'wheel' | string;
+    theme?: 'light' | 'dark' | 'auto';
+    colorModel?: 'hsl' | 'hsv' | 'oklch';
     alpha?: boolean;
     editor?: boolean;
-    editorFormat?: 'hex' | 'hsl' | 'rgb';
+    editorFormat?: EditorFormat;
+    editorFormats?: EditorFormat[];
+    editorHint?: string;
+    contrastAgainst?: string | number[] | (() => string | number[] | null);
+    contrastAPCA?: boolean;
+    contrastContour?: boolean;
+    eyeDropper?: boolean | (() => Promise<string | number[] | null>);
+    harmony?: HarmonyType | null;
     cancelButton?: boolean;
+    revertOnBlur?: boolean;
+    throttleInput?: boolean;
+    injectStyle?: boolean | 'adopt';
+    styleRoot?: Document | ShadowRoot;
+    nonce?: string;
+    swatches?: string[];
+    recentColors?: number;
+    recentStorage?: ColorStorage;
     color?: string;
+    onInput?: ColorCallback;
     onChange?: ColorCallback;
     onDone?: ColorCallback;
     onOpen?: ColorCallback;
     onClose?: ColorCallback;
+    onCancel?: ColorCallback;
+    onHistoryChange?: ColorCallback;
+    parentEvents?: boolean;
   }
   
   type Configuration = Options | HTMLElement;
 
+  class ColorPickerElement extends HTMLElement {
+    value: string;
+    readonly picker: Picker;
+  }
+
   class Picker {
+    static MemoryStorage: typeof MemoryStorage;
+    static LocalStorage: typeof LocalStorage;
+    static addFormat(name: string, format: ColorFormat): void;
+    static StyleElement: HTMLStyleElement | null;
+    static injectStyle(root?: Document | ShadowRoot, options?: { adopt?: boolean, nonce?: string }): void;
+    static defineElement(tagName?: string): typeof ColorPickerElement;
+    static enhanceInput(input: HTMLInputElement, options?: Options): Picker;
+    static enhanceInputs(selector?: string, options?: Options): Picker[];
     constructor(options: Configuration);
+    onInput: ColorCallback;
     onChange: ColorCallback;
     onDone: ColorCallback;
     onOpen: ColorCallback;
     onClose: ColorCallback;
+    onCancel: ColorCallback;
+    onHistoryChange: ColorCallback;
+    readonly canUndo: boolean;
+    readonly canRedo: boolean;
     setOptions(options: Configuration): void;
     openHandler(e: Event): void;
     closeHandler(e: Event): void;
     movePopup(options: Options, open: boolean): void;
+    pick(): Promise<Color | null>;
+    undo(): boolean;
+    redo(): boolean;
+    getHarmony(type: HarmonyType): Color[];
+    flushUI(): void;
+    addEventListener(type: PickerEventType, listener: PickerEventListener, options?: { once?: boolean }): void;
+    removeEventListener(type: PickerEventType, listener: PickerEventListener): void;
     setColor(color: string | number[], silent: boolean): void;
     setColour: Picker['setColor'];
     show(): boolean;
@@ -1,3 +1,18 @@
 import Picker from './js/picker.js';
+import defineElement from './js/element.js';
+import { enhanceInput, enhanceInputs } from './js/input.js';
 
-export default Picker;
\ No newline at end of file
+/**
+ * Register the picker as a custom element. @see {@linkcode defineElement}
+ */
+Picker.defineElement = defineElement;
+/**
+ * Add a picker to an existing `<input>`. @see {@linkcode enhanceInput}
+ */
+Picker.enhanceInput = enhanceInput;
+/**
+ * Add pickers to all inputs matching a selector. @see {@linkcode enhanceInputs}
+ */
+Picker.enhanceInputs = enhanceInputs;
+
+export default Picker;
@@ -0,0 +1,472 @@
+import BaseColor from '@sphinxxxx/color-conversion';
+
+
+/**
+ * Upper bound of the OKLCH chroma the picker lets you select.
+ * (The most saturated sRGB color, pure blue, has a chroma of about .32)
+ */
+const OKLCH_MAX_CHROMA = 0.37;
+//What 100% means in CSS `oklch()`/`oklab()` chroma or a/b values:
+const OK_PERCENT_AB = 0.4;
+
+//The CSS color names, for printing a color's name (without aliases like "cyan" and "grey", which we print as "aqua" and "gray").
+//`color-conversion` knows their RGB values.
+const COLOR_NAMES = (
+    'aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue blueviolet brown ' +
+    'burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson darkblue darkcyan ' +
+    'darkgoldenrod darkgray darkgreen darkkhaki darkmagenta darkolivegreen darkorange darkorchid darkred ' +
+    'darksalmon darkseagreen darkslateblue darkslategray darkturquoise darkviolet deeppink deepskyblue dimgray ' +
+    'dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite gold goldenrod gray green ' +
+    'greenyellow honeydew hotpink indianred indigo ivory khaki lavender lavenderblush lawngreen lemonchiffon ' +
+    'lightblue lightcoral lightcyan lightgoldenrodyellow lightgray lightgreen lightpink lightsalmon lightseagreen ' +
+    'lightskyblue lightslategray lightsteelblue lightyellow lime limegreen linen maroon mediumaquamarine ' +
+    'mediumblue mediumorchid mediumpurple mediumseagreen mediumslateblue mediumspringgreen mediumturquoise ' +
+    'mediumvioletred midnightblue mintcream mistyrose moccasin navajowhite navy oldlace olive olivedrab orange ' +
+    'orangered orchid palegoldenrod palegreen paleturquoise palevioletred papayawhip peachpuff peru pink plum ' +
+    'powderblue purple rebeccapurple red rosybrown royalblue saddlebrown salmon sandybrown seagreen seashell ' +
+    'sienna silver skyblue slateblue slategray snow springgreen steelblue tan teal thistle tomato turquoise violet ' +
+    'wheat white whitesmoke yellow yellowgreen'
+).split(' ');
+let namesByHex;
+
+
+function printNum(num, decs) {
+    const str = num.toFixed(decs).replace(/0+$/, '').replace(/\.$/, '');
+    return ((str === '-0') ? '0' : str) || '0';
+}
+
+function clamp(val, min, max) {
+    return Math.max(min, Math.min(val, max));
+}
+
+
+class Color extends BaseColor {
+
+    /**
+     * The color object used throughout the picker.
+     * Adds the color representations the picker needs on top of the basic RGB/HSL conversions in `color-conversion`,
+     * and parses `oklch()`/`oklab()` strings in addition to the formats `color-conversion` understands.
+     */
+    constructor(r, g, b, a) {
+        const parsed = (typeof r === 'string') && Color.parseMore(r);
+        super(parsed ? undefined : r, g, b, a);
+
+        if(parsed) { this[parsed.model] = parsed.values; }
+    }
+
+
+    /**
+     * A copy of this color, with all its representations (so e.g. the hue of a gray color isn't lost).
+     */
+    clone() {
+        const copy = new Color();
+        ['_rgba', '_hsla', '_hsva', '_oklch'].forEach(key => {
+            if(this[key]) { copy[key] = this[key].slice(); }
+        });
+        return copy;
+    }
+
+
+    /* RGBA & HSLA: Invalidate our own representations when these are set */
+
+    get rgba() { return super.rgba; }
+    set rgba(rgb) {
+        this._hsva = this._oklch = null;
+        super.rgba = rgb;
+    }
+
+    get hsla() { return super.hsla; }
+    set hsla(hsl) {
+        this._hsva = this._oklch = null;
+        super.hsla = hsl;
+    }
+
+
+    /* HSVA representation */
+
+    get hsva() {
+        if(this._hsva) { return this._hsva; }
+        return (this._hsva = Color.hslToHsv(this.hsla));
+    }
+    set hsva(hsv) {
+        if(hsv.length === 3) { hsv[3] = 1; }
+
+        //Keep the original HSV values, as they can't always be recreated from HSL (e.g. saturation when the color is black):
+        this.hsla = Color.hsvToHsl(hsv);
+        this._hsva = hsv;
+    }
+
+
+    /* OKLab & OKLCH representations */
+
+    get oklab() {
+        const [l, c, h, a] = this.oklch,
+              rad = h * Math.PI / 180;
+        return [l, c * Math.cos(rad), c * Math.sin(rad), a];
+    }
+    set oklab(lab) {
+        if(lab.length === 3) { lab[3] = 1; }
+
+        const [l, a, b, alpha] = lab;
+        let h = Math.atan2(b, a) * 180 / Math.PI;
+        if(h < 0) { h += 360; }
+
+        this.oklch = [l, Math.sqrt(a * a + b * b), h, alpha];
+    }
+
+    get oklch() {
+        if(this._oklch) { return this._oklch; }
+        return (this._oklch = Color.rgbToOklch(this.rgba));
+    }
+    set oklch(lch) {
+        if(lch.length === 3) { lch[3] = 1; }
+
+        const mapped = Color.oklchToRgb(lch);
+        this.rgba = mapped.rgba;
+        //Keep the hue, which is lost on grays:
+        this._oklch = mapped.oklch;
+    }
+
+    printOKLCH(alpha) {
+        const [l, c, h, a] = this.oklch,
+              vals = printNum(l * 100, 2) + '% ' + printNum(c, 4) + ' ' + printNum(h, 2);
+
+        return alpha ? `oklch(${ vals } / ${ printNum(a, 3) })` : `oklch(${ vals })`;
+    }
+    get oklchString() { return this.printOKLCH(this.oklch[3] < 1); }
+
+
+    /* Other output formats */
+
+    /**
+     * CSS Color 4 syntax, e.g. `rgb(255 0 0 / 50%)`.
+     */
+    printRGB4(alpha) {
+        const [r, g, b, a] = this.rgba,
+              vals = [r, g, b].map(x => printNum(x, 0)).join(' ');
+
+        return alpha ? `rgb(${ vals } / ${ printNum(a * 100, 1) }%)` : `rgb(${ vals })`;
+    }
+
+    printHWB(alpha) {
+        const [h, s, v, a] = this.hsva,
+              vals = printNum(h * 360, 1) + ' ' + printNum((1 - s) * v * 100, 1) + '% ' + printNum((1 - v) * 100, 1) + '%';
+
+        return alpha ? `hwb(${ vals } / ${ printNum(a * 100, 1) }%)` : `hwb(${ vals })`;
+    }
+
+    printHSV(alpha) {
+        const mults = [360, 100, 100, 1],
+              suff =  ['', '%', '%', ''];
+
+        const hsv = alpha ? this.hsva : this.hsva.slice(0, 3),
+              vals = hsv.map((x, i) => printNum(x * mults[i], (i === 3) ? 3 : 1) + suff[i]);
+
+        return alpha ? `hsva(${ vals })` : `hsv(${ vals })`;
+    }
+
+    /**
+     * A 0xAARRGGBB integer literal, like Android's color ints.
+     */
+    printARGB() {
+        const hex = this.hex.slice(1).toUpperCase();
+        return '0x' + hex.slice(6) + hex.slice(0, 6);
+    }
+
+    /**
+     * The CSS color name if this color has one (and is opaque), otherwise `null`.
+     */
+    get name() {
+        if(!namesByHex) {
+            namesByHex = {};
+            COLOR_NAMES.forEach(name => {
+                const hex = new BaseColor(name).hex;
+                if(!namesByHex[hex]) { namesByHex[hex] = name; }
+            });
+        }
+        return namesByHex[this.hex] || null;
+    }
+
+
+    /* Conversion utils */
+
+
+    /**
+     * Converts an HSL color value to HSV.
+     * All values are in the set [0, 1].
+     */
+    static hslToHsv([h, s, l, a]) {
+        const v = l + s * Math.min(l, 1 - l),
+              sv = v ? 2 * (1 - l / v) : 0;
+
+        return [h, sv, v, a];
+    }
+
+
+    /**
+     * Converts an HSV color value to HSL.
+     * All values are in the set [0, 1].
+     */
+    static hsvToHsl([h, s, v, a]) {
+        const l = v * (1 - s / 2),
+              sl = ((l === 0) || (l === 1)) ? 0 : (v - l) / Math.min(l, 1 - l);
+
+        return [h, sl, l, a];
+    }
+
+
+    /**
+     * https://bottosson.github.io/posts/oklab/
+     *
+     * Converts an RGB color value to OKLCH.
+     * Assumes r, g, and b are contained in the set [0, 255] and
+     * returns l in the set [0, 1], c from 0 (gray) to about .32, and h in degrees [0, 360).
+     */
+    static rgbToOklch([r, g, b, a]) {
+        const [lr, lg, lb] = [r, g, b].map(x => {
+            x /= 255;
+            return (x <= 0.04045) ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+        });
+
+        const l_ = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb),
+              m_ = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb),
+              s_ = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+        const L = 0.2104542553 * l_ + 0.7936177850 * m_ - 0.0040720468 * s_,
+              A = 1.9779984951 * l_ - 2.4285922050 * m_ + 0.4505937099 * s_,
+              B = 0.0259040371 * l_ + 0.7827717662 * m_ - 0.8086757660 * s_;
+
+        let c = Math.sqrt(A * A + B * B),
+            h = Math.atan2(B, A) * 180 / Math.PI;
+        if(h < 0) { h += 360; }
+        //Rounding errors on grays:
+        if(c < 1e-4) { c = h = 0; }
+
+        return [clamp(L, 0, 1), c, h, a];
+    }
+
+
+    /**
+     * Converts an OKLCH color value to unclamped linear sRGB components (in the set [0, 1] if the color is within the sRGB gamut).
+     */
+    static oklchToLinearRgb([l, c, h]) {
+        const rad = h * Math.PI / 180,
+              A = c * Math.cos(rad),
+              B = c * Math.sin(rad);
+
+        const l_ = l + 0.3963377774 * A + 0.2158037573 * B,
+              m_ = l - 0.1055613458 * A - 0.0638541728 * B,
+              s_ = l - 0.0894841775 * A - 1.2914855480 * B,
+              l3 = l_ * l_ * l_,
+              m3 = m_ * m_ * m_,
+              s3 = s_ * s_ * s_;
+
+        return [
+             4.0767416621 * l3 - 3.3077115913 * m3 + 0.2309699292 * s3,
+            -1.2684380046 * l3 + 2.6097574011 * m3 - 0.3413193965 * s3,
+            -0.0041960863 * l3 - 0.7034186147 * m3 + 1.7076147010 * s3,
+        ];
+    }
+
+
+    /**
+     * Converts an OKLCH color value to RGB, with gamut mapping:
+     * Colors outside of sRGB keep their lightness and hue, and get the highest chroma sRGB can display.
+     *
+     * Returns both the resulting `rgba` (in the set [0, 255]) and the `oklch` value it represents.
+     */
+    static oklchToRgb([l, c, h, a]) {
+        const EPSILON = 1e-5;
+        function inGamut(rgb) {
+            return rgb.every(x => (x >= -EPSILON) && (x <= 1 + EPSILON));
+        }
+
+        l = clamp(l, 0, 1);
+        c = Math.max(c, 0);
+
+        let linear = Color.oklchToLinearRgb([l, c, h]);
+        if(!inGamut(linear)) {
+            //Binary search for the largest chroma which is still inside the gamut:
+            let min = 0,
+                max = c;
+            while(max - min > 1e-4) {
+                const mid = (min + max) / 2;
+                if(inGamut(Color.oklchToLinearRgb([l, mid, h]))) {
+                    min = mid;
+                }
+                else {
+                    max = mid;
+                }
+            }
+            c = min;
+            linear = Color.oklchToLinearRgb([l, c, h]);
+        }
+
+        const rgba = linear.map(x => {
+            x = clamp(x, 0, 1);
+            x = (x <= 0.0031308) ? x * 12.92 : 1.055 * Math.pow(x, 1 / 2.4) - 0.055;
+            return Math.round(x * 255);
+        });
+        rgba[3] = a;
+
+        return {
+            rgba,
+            oklch: [l, c, h, a],
+        };
+    }
+
+
+    /**
+     * https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+     *
+     * The relative luminance of an RGB color (r, g, and b in the set [0, 255]), from 0 (black) to 1 (white).
+     */
+    static luminance([r, g, b]) {
+        const [lr, lg, lb] = [r, g, b].map(x => {
+            x /= 255;
+            return (x <= 0.04045) ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+    }
+
+
+    /**
+     * The WCAG 2.x contrast ratio between two RGB colors, from 1 to 21.
+     */
+    static contrastRatio(rgb1, rgb2) {
+        const l1 = Color.luminance(rgb1),
+              l2 = Color.luminance(rgb2);
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+
+    /**
+     * https://github.com/Myndex/apca-w3 (APCA-W3 0.0.98G)
+     *
+     * The APCA lightness contrast (Lc) of a text color on a background color, from about -108 (light text on black) to 106 (black text on white).
+     */
+    static contrastAPCA(textRgb, bgRgb) {
+        function screenY([r, g, b]) {
+            const y = 0.2126729 * Math.pow(r / 255, 2.4) + 0.7151522 * Math.pow(g / 255, 2.4) + 0.0721750 * Math.pow(b / 255, 2.4);
+            //Soft clamp near black:
+            return (y < 0.022) ? y + Math.pow(0.022 - y, 1.414) : y;
+        }
+
+        const yText = screenY(textRgb),
+              yBg = screenY(bgRgb);
+        if(Math.abs(yBg - yText) < 0.0005) { return 0; }
+
+        let lc;
+        //Dark text on a light background:
+        if(yBg > yText) {
+            const s = (Math.pow(yBg, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+            lc = (s < 0.1) ? 0 : s - 0.027;
+        }
+        //Light text on a dark background:
+        else {
+            const s = (Math.pow(yBg, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+            lc = (s > -0.1) ? 0 : s + 0.027;
+        }
+        return lc * 100;
+    }
+
+
+    /**
+     * Parses the color strings `color-conversion` doesn't understand: CSS Color 4 syntax (`rgb(255 0 0 / 50%)`, percentages etc),
+     * `oklch()`, `oklab()`, `hwb()`, `hsv()` and 0xAARRGGBB integers.
+     * Returns `{ model, values }` (where `model` is the representation the values are in, like `rgba` or `oklch`),
+     * or `null` for strings which are left to `color-conversion` (hex and color names).
+     */
+    static parseMore(input) {
+        input = input.trim().toLowerCase();
+
+        const argb = input.match(/^0x([0-9a-f]{8})$/);
+        if(argb) {
+            const rgba = BaseColor.hexToRgb(argb[1].slice(2) + argb[1].slice(0, 2));
+            return { model: 'rgba', values: rgba };
+        }
+
+        const match = input.match(/^(rgb|hsl|hsv|hwb|oklch|oklab)a?\((.*)\)$/);
+        if(!match) { return null; }
+
+        const model = match[1],
+              //Both "rgb(r g b / a)" and comma separated values:
+              params = match[2].trim().split(/\s*[\s,\/]\s*/);
+        if((params.length < 3) || (params.length > 4)) { throw new Error('Unknown color; ' + input); }
+
+        //A number, or a percentage of `percent`:
+        function num(x, percent) {
+            if(x === 'none') { return 0; }
+
+            const n = parseFloat(x);
+            if(isNaN(n)) { throw new Error('Unknown color; ' + input); }
+
+            return (x.slice(-1) === '%') ? n / 100 * percent : n;
+        }
+        //Degrees (or other angle units), as a fraction of a full turn:
+        function hue(x) {
+            const n = num(x, 0),
+                  unit = x.match(/[a-z]*$/)[0];
+            let turns;
+            switch (unit) {
+                case 'turn': turns = n; break;
+                case 'rad':  turns = n / (2 * Math.PI); break;
+                case 'grad': turns = n / 400; break;
+                default:     turns = n / 360;
+            }
+            return ((turns % 1) + 1) % 1;
+        }
+
+        const alpha = (params.length === 4) ? clamp(num(params[3], 1), 0, 1) : 1,
+              [p1, p2, p3] = params;
+
+        switch (model) {
+            case 'rgb':
+                return {
+                    model: 'rgba',
+                    values: [p1, p2, p3].map(x => Math.round(clamp(num(x, 255), 0, 255))).concat(alpha),
+                };
+
+            //Saturation, lightness etc are always percentages, even without "%":
+            case 'hsl':
+            case 'hsv':
+                return {
+                    model: model + 'a',
+                    values: [hue(p1), clamp(num(p2, 100) / 100, 0, 1), clamp(num(p3, 100) / 100, 0, 1), alpha],
+                };
+
+            case 'hwb': {
+                let w = clamp(num(p2, 100) / 100, 0, 1),
+                    b = clamp(num(p3, 100) / 100, 0, 1);
+                //Too much whiteness + blackness is gray:
+                if(w + b > 1) {
+                    const sum = w + b;
+                    w /= sum;
+                    b /= sum;
+                }
+                const v = 1 - b;
+                return {
+                    model: 'hsva',
+                    values: [hue(p1), v ? 1 - w / v : 0, v, alpha],
+                };
+            }
+
+            //OKLCH & OKLab: 100% chroma or a/b is .4:
+            case 'oklch':
+                return {
+                    model,
+                    values: [num(p1, 1), num(p2, OK_PERCENT_AB), hue(p3) * 360, alpha],
+                };
+            default:
+                return {
+                    model,
+                    values: [num(p1, 1), num(p2, OK_PERCENT_AB), num(p3, OK_PERCENT_AB), alpha],
+                };
+        }
+    }
+
+}
+
+
+export default Color;
+export { OKLCH_MAX_CHROMA };
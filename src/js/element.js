@@ -0,0 +1,208 @@
+import Picker from './picker.js';
+
+
+//Attributes which map directly to a picker option:
+const OPTION_ATTRIBUTES = {
+    'alpha':         'alpha',
+    'editor-format': 'editorFormat',
+    'popup':         'popup',
+    'layout':        'layout',
+    'theme':         'theme',
+};
+
+function parseOption(name, value) {
+    if(value === null) { return undefined; }
+
+    switch (name) {
+        case 'alpha': return (value !== 'false');
+        case 'popup': return (value === 'false') ? false : (value || undefined);
+        default:      return value;
+    }
+}
+
+
+/*
+ * The button which opens a popup picker, showing the selected color. See `.picker_button` in the CSS.
+ */
+function createButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'picker_button';
+    button.setAttribute('part', 'button');
+    button.setAttribute('aria-label', 'Choose color');
+    button.appendChild(document.createElement('span'));
+    return button;
+}
+
+function paintButton(button, color) {
+    button.firstElementChild.style.color = color.rgbaString;
+}
+
+
+/*
+ * Babel's ES5 classes can't extend native classes like `HTMLElement`
+ * (calling `HTMLElement` as a function throws "Illegal constructor"), so we set up the prototype chain ourselves.
+ */
+function ColorPickerElement() {
+    const elm = Reflect.construct(HTMLElement, [], this.constructor);
+    elm.attachShadow({ mode: 'open' });
+    //Right away, for the popup button:
+    Picker.injectStyle(elm.shadowRoot, { adopt: true });
+    return elm;
+}
+
+//`HTMLElement` doesn't exist outside of browsers (e.g. when rendering on a server),
+//so the prototype chain is set up when the first element is defined:
+let elementReady = false;
+function initElement() {
+    if(elementReady) { return; }
+    elementReady = true;
+
+    ColorPickerElement.prototype = Object.create(HTMLElement.prototype, {
+        constructor: { value: ColorPickerElement, writable: true, configurable: true },
+    });
+    Object.setPrototypeOf(ColorPickerElement, HTMLElement);
+
+    Object.defineProperty(ColorPickerElement, 'observedAttributes', {
+        get() { return ['value'].concat(Object.keys(OPTION_ATTRIBUTES)); },
+    });
+
+    Object.defineProperties(ColorPickerElement.prototype, ELEMENT_MEMBERS);
+}
+
+//The element's properties and methods (see initElement()):
+const ELEMENT_MEMBERS = {
+
+    /**
+     * The selected color, printed in the `editor-format`.
+     */
+    value: {
+        get() { return this.getAttribute('value') || ''; },
+        set(value) { this.setAttribute('value', value); },
+    },
+
+    connectedCallback: { value: function() {
+        if(!this.picker) { this._render(); }
+    } },
+
+    disconnectedCallback: { value: function() {
+        if(this.picker && this.picker.settings.popup) { this.picker.closeHandler(false); }
+    } },
+
+    attributeChangedCallback: { value: function(name, oldValue, newValue) {
+        const picker = this.picker;
+        if(!picker || this._reflecting || (oldValue === newValue)) { return; }
+
+        if(name === 'value') {
+            //Like `<input type="color">`, ignore invalid colors:
+            picker._setColor(newValue, { silent: true, failSilently: true });
+            this._reflect();
+            this._committed = this.value;
+        }
+        //The theme can change on the fly:
+        else if(name === 'theme') {
+            picker.setOptions({ theme: parseOption(name, newValue) || 'light' });
+        }
+        //The other options are used when the picker's DOM is built,
+        //and switching between a popup and an inline picker needs a different parent:
+        else {
+            this._render();
+        }
+    } },
+
+    /*
+     * (Re)create the picker from the current attributes.
+     */
+    _render: { value: function() {
+        const root = this.shadowRoot;
+        if(this.picker) {
+            this.picker.destroy();
+            root.removeChild(this._parent);
+        }
+
+        const options = {};
+        for (const name in OPTION_ATTRIBUTES) {
+            const value = parseOption(name, this.getAttribute(name));
+            if(value !== undefined) { options[OPTION_ATTRIBUTES[name]] = value; }
+        }
+
+        //A popup opens from a button showing the current color. An inline picker just needs a container:
+        const parent = (options.popup === false) ? document.createElement('div') : createButton();
+        this._parent = root.appendChild(parent);
+
+        options.parent = parent;
+        const picker = this.picker = new Picker(options);
+        picker._setColor(this.getAttribute('value'), { silent: true, failSilently: true });
+        if(!picker.color) { picker._setColor(picker.settings.defaultColor, { silent: true }); }
+
+        picker.addEventListener('input', () => {
+            this._reflect();
+            this.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        });
+        //Like `<input type="color">`, fire "change" when the user has changed the color (e.g. at the end of a drag):
+        picker.addEventListener('change', () => {
+            this._reflect();
+            if(this.value === this._committed) { return; }
+            this._committed = this.value;
+            this.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+
+        this._reflect();
+        this._committed = this.value;
+    } },
+
+    /*
+     * Show the picker's color in the `value` attribute and on the popup button.
+     */
+    _reflect: { value: function() {
+        const picker = this.picker;
+
+        this._reflecting = true;
+        this.setAttribute('value', picker._printColor());
+        this._reflecting = false;
+
+        if(picker.settings.popup) { paintButton(this._parent, picker.color); }
+    } },
+
+};
+
+
+/**
+ * Register the picker as a custom element, e.g. `<color-picker value="gold" popup="bottom"></color-picker>`.
+ * Importing the library doesn't register anything, so call this once before using the element.
+ *
+ * @example
+ * Picker.defineElement();            // <color-picker>
+ * Picker.defineElement('my-picker'); // <my-picker>
+ *
+ * Attributes: `value`, `alpha` (`"false"` to disable), `editor-format`, `popup` (`"false"` for an inline picker), `layout` and `theme`
+ * (@see {@linkcode Picker#setOptions|setOptions()}). The `value` attribute follows the selected color.
+ * The element fires `input` events while the color changes, and a `change` event when the user has changed it (at the end of a drag, on a swatch click etc).
+ * Attribute changes don't fire any events.
+ *
+ * The picker CSS is added to the element's shadow root (as a constructable stylesheet where the browser supports it).
+ * With the strict CSP build, add a `<link>` to the CSS file to `element.shadowRoot` instead.
+ *
+ * @param {string} [tagName=color-picker]
+ * @returns {function} The element class.
+ */
+function defineElement(tagName) {
+    tagName = tagName || 'color-picker';
+    initElement();
+
+    //A constructor can only be registered once, so each tag name gets its own subclass:
+    function TaggedElement() {
+        return ColorPickerElement.call(this);
+    }
+    TaggedElement.prototype = Object.create(ColorPickerElement.prototype, {
+        constructor: { value: TaggedElement, writable: true, configurable: true },
+    });
+    Object.setPrototypeOf(TaggedElement, ColorPickerElement);
+
+    customElements.define(tagName, TaggedElement);
+    return TaggedElement;
+}
+
+
+export default defineElement;
+export { createButton, paintButton };
@@ -0,0 +1,127 @@
+import Picker from './picker.js';
+import { createButton, paintButton } from './element.js';
+
+
+/**
+ * Add a picker to an existing `<input type="color">` or text input, next to the input.
+ * A color input is hidden, and replaced by a button which opens the picker. A text input stays editable, with the button after it.
+ *
+ * The input stays the form field: Its `name`, `required` and `disabled` are respected,
+ * it's left empty until a color is picked, and `form.reset()` resets the picker as well.
+ * The input fires `input` events while the color changes, and a `change` event when the user has changed it (at the end of a drag, on a swatch click etc),
+ * and typing in a text input updates the picker.
+ *
+ * `destroy()` on the returned picker removes the button and shows the input again.
+ *
+ * @example
+ * Picker.enhanceInput(document.querySelector('input[name="background"]'), { popup: 'bottom' });
+ *
+ * @param {HTMLInputElement} input
+ * @param {Object} [options] - Picker options, @see {@linkcode Picker#setOptions|setOptions()}.
+ *                             A color input always uses `alpha: false` and `editorFormat: 'hex'`, as that's all it can hold.
+ * @returns {Picker}
+ */
+function enhanceInput(input, options) {
+    if(input._picker) { return input._picker; }
+
+    const isColorInput = (input.type === 'color'),
+          button = createButton();
+
+    input.parentNode.insertBefore(button, input.nextSibling);
+    if(isColorInput) { input.hidden = true; }
+
+    //We open the popup ourselves, to check if the input is disabled:
+    const picker = new Picker(options);
+    picker.setOptions({ parent: button, manualPopup: true });
+    //Style the button before the picker is shown:
+    picker._injectStyle(button);
+    if(isColorInput) { picker.setOptions({ alpha: false, editorFormat: 'hex', editorFormats: ['hex'] }); }
+
+    const events = picker._events;
+    let committed,
+        updatingInput = false;
+
+    //Input -> picker:
+    function readInput() {
+        picker._setColor(input.value, { silent: true, failSilently: true });
+        if(!picker.color) { picker._setColor(picker.settings.defaultColor, { silent: true }); }
+
+        paintButton(button, picker.color);
+        committed = input.value;
+    }
+    readInput();
+
+    events.add(input, 'input', () => {
+        if(!updatingInput) { readInput(); }
+    });
+    events.add(input, 'change', () => {
+        if(!updatingInput) { readInput(); }
+    });
+    if(input.form) {
+        //The "reset" event fires before the form is actually reset:
+        events.add(input.form, 'reset', () => setTimeout(readInput));
+    }
+
+    //Picker -> input:
+    picker.addEventListener('input', () => {
+        paintButton(button, picker.color);
+
+        updatingInput = true;
+        input.value = picker._printColor();
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        updatingInput = false;
+    });
+    //Like `<input type="color">`, fire "change" when the user has changed the color (e.g. at the end of a drag):
+    picker.addEventListener('change', () => {
+        if(input.value === committed) { return; }
+        committed = input.value;
+
+        updatingInput = true;
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+        updatingInput = false;
+    });
+
+    events.add(button, 'click', (e) => {
+        //Ignore clicks inside the (already open) popup:
+        const dom = picker.domElement;
+        if(input.disabled || (dom && dom.contains(e.target))) { return; }
+
+        //In case the value was set from code:
+        readInput();
+        picker.openHandler(e);
+    });
+    //Keep the button enabled/disabled along with the input:
+    button.disabled = input.disabled;
+    const observer = new MutationObserver(() => {
+        button.disabled = input.disabled;
+        if(input.disabled) { picker.closeHandler(false); }
+    });
+    observer.observe(input, { attributes: true, attributeFilter: ['disabled'] });
+
+    //Called by destroy(). The event listeners above are removed along with the picker's other events:
+    picker._unenhance = () => {
+        observer.disconnect();
+        if(button.parentNode) { button.parentNode.removeChild(button); }
+        if(isColorInput) { input.hidden = false; }
+        delete input._picker;
+    };
+
+    input._picker = picker;
+    return picker;
+}
+
+
+/**
+ * Add pickers to all inputs matching a selector. @see {@linkcode enhanceInput}
+ *
+ * @param {string} [selector=input[type="color"]]
+ * @param {Object} [options] - Picker options for all the inputs.
+ * @returns {Picker[]}
+ */
+function enhanceInputs(selector, options) {
+    const inputs = document.querySelectorAll(selector || 'input[type="color"]');
+    return Array.prototype.map.call(inputs, input => enhanceInput(input, options));
+}
+
+
+export { enhanceInput, enhanceInputs };
@@ -1,21 +1,113 @@
 /*global HTMLElement*/
 
-import Color from '@sphinxxxx/color-conversion';
+import Color, { OKLCH_MAX_CHROMA } from './color.js';
 import * as utils from './utils.js';
+import { MemoryStorage, LocalStorage, defaultStorage } from './recent.js';
 
 
 //https://stackoverflow.com/a/51117224/1869660
 const BG_TRANSP = `linear-gradient(45deg, lightgrey 25%, transparent 25%, transparent 75%, lightgrey 75%) 0 0 / 2em 2em,
                    linear-gradient(45deg, lightgrey 25%,       white 25%,       white 75%, lightgrey 75%) 1em 1em / 2em 2em`;
 const HUES = 360;
+//Resolution of the OKLCH gamut drawn on the SL panel (scaled up with CSS):
+const GAMUT_SIZE = 64;
+//..and of the contrast threshold contour:
+const CONTOUR_SIZE = 64;
+//WCAG 2.x contrast ratios for normal text:
+const WCAG_AA = 4.5;
+const WCAG_AAA = 7;
+const COLOR_MODELS = ['hsl', 'hsv', 'oklch'];
+//See _themes.scss:
+const THEMES = ['light', 'dark', 'auto'];
+//Screen reader names of the SL panel's axes:
+const SL_AXES = {
+    hsl:   ['Saturation', 'Lightness'],
+    hsv:   ['Saturation', 'Value'],
+    oklch: ['Chroma', 'Lightness'],
+};
+const POPUP_PLACEMENTS = ['top', 'bottom', 'left', 'right'];
+//How long the color must stay the same before it's announced to screen readers:
+const ANNOUNCE_DELAY = 500;
+//The width of the hue ring on the wheel layout, relative to the wheel's size (see .layout_wheel in _layout.scss):
+const WHEEL_RING = .12;
+//Where the hue thumb goes on the wheel layout: The middle of the hue ring:
+const WHEEL_RADIUS = .5 - WHEEL_RING / 2;
+//How many undo steps to keep:
+const HISTORY_SIZE = 100;
+//A pause in typing in the editor which starts a new undo step:
+const EDIT_PAUSE = 1000;
 //We need to use keydown instead of keypress to handle Esc from the editor textbox:
 const EVENT_KEY = 'keydown';
+//Hue offsets (in degrees) of the colors in each harmony, see getHarmony().
+//Monochromatic harmonies change the lightness instead.
+const HARMONIES = {
+    complementary: [180],
+    split:         [150, 210],
+    triadic:       [120, 240],
+    tetradic:      [60, 180, 240],
+    analogous:     [-30, 30],
+    monochromatic: [],
+};
+
+
+//The formats the editor can show the color in. More can be added with Picker.addFormat():
+const FORMATS = {
+    hex:   { label: 'HEX',   print: (col, alpha) => col.printHex(alpha) },
+    rgb:   { label: 'RGB',   print: (col, alpha) => col.printRGB(alpha) },
+    rgb4:  { label: 'RGB 4', print: (col, alpha) => col.printRGB4(alpha) },
+    hsl:   { label: 'HSL',   print: (col, alpha) => col.printHSL(alpha) },
+    hsv:   { label: 'HSV',   print: (col, alpha) => col.printHSV(alpha) },
+    hwb:   { label: 'HWB',   print: (col, alpha) => col.printHWB(alpha) },
+    oklch: { label: 'OKLCH', print: (col, alpha) => col.printOKLCH(alpha) },
+    name:  { label: 'Name',  print: (col, alpha) => col.name || col.printHex(alpha) },
+    argb:  { label: 'ARGB',  print: (col, alpha) => col.printARGB() },
+};
+
+
+//For unique IDs of the editor hints (see _showInvalid()):
+let hintCount = 0;
+//Where the CSS has been added, and the constructable stylesheet they may share (see Picker.injectStyle()):
+const styledRoots = new WeakSet();
+let styleSheet = null;
 
 
 function $(selector, context) {
     return (context || document).querySelector(selector);
 }
 
+//The hue slider of the OKLCH color model, with a fixed lightness and chroma, to show the hues' perceived brightness evenly:
+function okHue(relHue) {
+    const rgb = Color.oklchToRgb([.75, .15, relHue * HUES, 1]).rgba;
+    return `rgb(${rgb.slice(0, 3)})`;
+}
+//The RGB color of `rgba` on top of an opaque background:
+function blend(rgba, bg) {
+    const a = rgba[3];
+    return [0, 1, 2].map(i => rgba[i] * a + bg[i] * (1 - a));
+}
+
+let okHueStops;
+function okHueBackground(wheel) {
+    if(!okHueStops) {
+        okHueStops = [];
+        for(let i = 0; i <= 12; i++) { okHueStops.push(okHue(i / 12)); }
+    }
+    return wheel ? `conic-gradient(${okHueStops})` : `linear-gradient(90deg, ${okHueStops})`;
+}
+
+function toggleClass(elm, cssClass, add) {
+    //classList.add() and .remove() write the attribute even if nothing changes:
+    if(elm.classList.contains(cssClass) === !!add) { return; }
+
+    //Because IE doesn't support .classList.toggle()'s second argument...
+    if(add) {
+        elm.classList.add(cssClass);
+    }
+    else {
+        elm.classList.remove(cssClass);
+    }
+}
+
 function onKey(bucket, target, keys, handler, stop) {
     bucket.add(target, EVENT_KEY, function(e) {
         if(keys.indexOf(e.key) >= 0) {
@@ -40,6 +132,10 @@ class Picker {
      * @param {Object} color
      * @param {number[]} color.rgba       - RGBA color components.
      * @param {number[]} color.hsla       - HSLA color components (all values between 0 and 1, inclusive).
+     * @param {number[]} color.hsva       - HSVA color components (all values between 0 and 1, inclusive).
+     * @param {number[]} color.oklch      - OKLCH color components and alpha (lightness and alpha between 0 and 1, chroma from 0 to about .32, hue in degrees).
+     * @param {number[]} color.oklab      - OKLab color components and alpha.
+     * @param {string}   color.oklchString - OKLCH CSS value (e.g. `oklch(88.71% 0.1822 95.33)`), with alpha if the color is transparent.
      * @param {string}   color.rgbString  - RGB CSS value (e.g. `rgb(255,215,0)`).
      * @param {string}   color.rgbaString - RGBA CSS value (e.g. `rgba(255,215,0, .5)`).
      * @param {string}   color.hslString  - HSL CSS value (e.g. `hsl(50.6,100%,50%)`).
@@ -80,18 +176,38 @@ class Picker {
             //Allow creating a popup without putting it on screen yet.
             //  parent: document.body,
             popup: 'right',
+            popupOrder: ['right', 'bottom', 'left', 'top'],
             layout: 'default',
+            theme: 'light',
+            colorModel: 'hsl',
             alpha:  true,
             editor: true,
             editorFormat: 'hex',
+            editorFormats: ['hex', 'rgb', 'hsl'],
+            eyeDropper: true,
+            harmony: null,
+            contrastAPCA: false,
+            contrastContour: false,
             cancelButton: false,
+            revertOnBlur: false,
+            throttleInput: false,
+            injectStyle: true,
             defaultColor: '#0cf'
         };
         
         this._events = new utils.EventBucket();
+        this._listeners = {};
+        this._undoStack = [];
+        this._redoStack = [];
 
         /**
-         * Callback whenever the color changes.
+         * Callback while the color changes, e.g. on every move while the user drags, or as they type in the editor.
+         * @member {Picker~colorCallback}
+         */
+        this.onInput = null;
+        /**
+         * Callback when the user has changed the color: At the end of a drag, when they are done typing in the editor (Enter, or leaving the editor),
+         * when they click a swatch or use the arrow keys, and when the color is set from code.
          * @member {Picker~colorCallback}
          */
         this.onChange = null;
@@ -110,6 +226,16 @@ class Picker {
          * @member {Picker~colorCallback}
          */
         this.onClose = null;
+        /**
+         * Callback when the user closes the popup with "Cancel" or Esc, after the color has been reverted.
+         * @member {Picker~colorCallback}
+         */
+        this.onCancel = null;
+        /**
+         * Callback when the undo history changes, i.e. {@linkcode Picker#canUndo|canUndo} or {@linkcode Picker#canRedo|canRedo} may have changed.
+         * @member {Picker~colorCallback}
+         */
+        this.onHistoryChange = null;
         
         this.setOptions(options);
     }
@@ -120,21 +246,69 @@ class Picker {
      * 
      * @param {Object}       options
      * @param {HTMLElement}  options.parent           - Which element the picker should be attached to.
-     * @param {('top'|'bottom'|'left'|'right'|false)}
+     * @param {('top'|'bottom'|'left'|'right'|'auto'|false)}
      *                       [options.popup=right]    - If the picker is used as a popup, where to place it relative to the parent. `false` to add the picker as a normal child element of the parent.
+     *                                                  `auto` picks the first placement in `popupOrder` where the popup fits on screen, and follows the parent when the page scrolls.
+     * @param {string[]}     [options.popupOrder=['right','bottom','left','top']] - Which placements to try, in order, with `popup: 'auto'`.
+     * @param {HTMLElement}  [options.appendTo]       - Put the popup in this element (e.g. `document.body`) instead of inside the parent,
+     *                                                  to avoid being cut off by a parent with `overflow: hidden`. The popup still appears next to the parent.
      * @param {boolean}      [options.manualPopup]    - Set to true to suppress automatic click-to-open event registration when you want to use picker as a popup, but want to control when it opens manually
      * @param {string}       [options.template]       - Custom HTML string from which to build the picker. See /src/picker.pug for required elements and class names.
      * @param {string}       [options.layout=default] - Suffix of a custom "layout_..." CSS class to handle the overall arrangement of the picker elements.
+     *                                                  Built-in layouts are `default` and `wheel` (a hue ring around the saturation/lightness panel).
+     * @param {('light'|'dark'|'auto')}
+     *                       [options.theme=light]    - The picker's colors. `auto` follows the browser's light or dark mode (`prefers-color-scheme`).
+     *                                                  The colors can also be changed with CSS custom properties like `--picker-bg` on `.picker_wrapper` (see _globals.scss).
+     * @param {('hsl'|'hsv'|'oklch')}
+     *                       [options.colorModel=hsl] - Whether the saturation panel selects saturation/lightness (HSL), saturation/value (HSV, as in Photoshop), or chroma/lightness (perceptually uniform OKLCH, which also applies to the hue slider).
      * @param {boolean}      [options.alpha=true]     - Whether to enable adjusting the alpha channel.
      * @param {boolean}      [options.editor=true]    - Whether to show a text field for color value editing.
-     * @param {('hex'|'hsl'|'rgb')}
-     *                       [options.editorFormat=hex] - How to display the selected color in the text field (the text field still supports *input* in any format).
+     * @param {string}       [options.editorFormat=hex] - How to display the selected color in the text field (the text field still supports *input* in any format):
+     *                                                  `hex`, `rgb`, `rgb4` (CSS Color 4 syntax, `rgb(255 0 0 / 50%)`), `hsl`, `hsv`, `hwb`, `oklch`,
+     *                                                  `name` (CSS color names when there's an exact match, otherwise hex), `argb` (0xAARRGGBB integers),
+     *                                                  or a format added with {@linkcode Picker.addFormat|Picker.addFormat()}.
+     * @param {string}       [options.editorHint]     - A hint to show below the text field when the text isn't a valid color, e.g. "Unknown color".
+     * @param {string[]}     [options.editorFormats=['hex','rgb','hsl']] - Which formats the button next to the text field switches between. Less than two formats hides the button.
+     * @param {(boolean|function)}
+     *                       [options.eyeDropper=true] - Whether to have a button which picks a color from the screen, with the browser's `EyeDropper`.
+     *                                                  Pass a function to use when the browser has no `EyeDropper`, which returns a `Promise` of a color string or RGBA array
+     *                                                  (e.g. sampled from a canvas in your app). Without an eyedropper, the button is hidden.
+     * @param {(string|function)}
+     *                       [options.contrastAgainst] - A color (e.g. a background color) to show the selected color's WCAG contrast ratio against, with AA and AAA badges for normal text.
+     *                                                  Pass a function if the color may change, which is called whenever the picker updates.
+     * @param {boolean}      [options.contrastAPCA=false] - Whether to also show the APCA lightness contrast (Lc), with the selected color as the text color.
+     * @param {boolean}      [options.contrastContour=false] - Whether to draw a line on the saturation panel around the colors with enough contrast for WCAG AA.
+     * @param {('complementary'|'split'|'triadic'|'tetradic'|'analogous'|'monochromatic')}
+     *                       [options.harmony]        - Show colors which go with the selected color, as swatches and as extra markers on the hue slider.
+     *                                                  @see {@linkcode Picker#getHarmony|getHarmony()}
      * @param {boolean}      [options.cancelButton=false] - Whether to have a "Cancel" button which closes the popup.
+     *                                                  "Cancel" (and Esc) reverts to the color the picker had when the popup was opened.
+     * @param {boolean}      [options.revertOnBlur=false] - Whether to also revert the color (like "Cancel") when the popup closes because the user clicked outside of it.
+     * @param {string[]}     [options.swatches]       - Preset colors (color names, RGBA/HSLA/HEX strings etc) to show as clickable swatches.
+     * @param {number}       [options.recentColors=0] - How many of the most recently chosen colors (by clicking "Ok") to show as swatches. `0` to hide them.
+     * @param {Object}       [options.recentStorage]  - Where to keep the recent colors: A {@linkcode Picker.MemoryStorage}, a {@linkcode Picker.LocalStorage},
+     *                                                  or any object with `get()` (returning an array of color strings) and `set(colors)`.
+     *                                                  By default, all pickers share one in-memory list.
      * @param {string}       [options.color]          - Initial color for the picker.
+     * @param {function}     [options.onInput]        - @see {@linkcode Picker#onInput|onInput}
      * @param {function}     [options.onChange]       - @see {@linkcode Picker#onChange|onChange}
      * @param {function}     [options.onDone]         - @see {@linkcode Picker#onDone|onDone}
      * @param {function}     [options.onOpen]         - @see {@linkcode Picker#onOpen|onOpen}
      * @param {function}     [options.onClose]        - @see {@linkcode Picker#onClose|onClose}
+     * @param {function}     [options.onCancel]       - @see {@linkcode Picker#onCancel|onCancel}
+     * @param {function}     [options.onHistoryChange] - @see {@linkcode Picker#onHistoryChange|onHistoryChange}
+     * @param {boolean}      [options.parentEvents=false] - Whether to also dispatch the picker's events (see {@linkcode Picker#addEventListener|addEventListener()}) on the parent element,
+     *                                                  as bubbling `CustomEvent`s named `picker:change`, `picker:done` etc.
+     * @param {(boolean|string)}
+     *                       [options.injectStyle=true] - Whether to add the picker CSS to the page when the picker is shown, as a `<style>` element,
+     *                                                  or `adopt` to use a constructable stylesheet (`adoptedStyleSheets`) where the browser supports it.
+     *                                                  The CSS goes into the document or shadow root the picker is in. `false` if you include the CSS file yourself.
+     *                                                  (The CSP build never adds the CSS.)
+     * @param {(Document|ShadowRoot)}
+     *                       [options.styleRoot]      - Where to add the CSS instead.
+     * @param {string}       [options.nonce]          - The CSP nonce for the `<style>` element.
+     * @param {boolean}      [options.throttleInput=false] - Whether to call {@linkcode Picker#onInput|onInput} (and fire `input` events) at most once per animation frame,
+     *                                                  with the latest color, instead of on every single change.
      */
     setOptions(options) {
         if(!options) { return; }
@@ -178,13 +352,23 @@ class Picker {
             }
 
             transfer(options, settings/*, skipKeys*/);
+
+            if(options.swatches && this.domElement) { this._renderSwatches(); }
+            //Options which only change what _renderUI() draws:
+            const rerender = ['harmony', 'contrastAgainst', 'contrastAPCA', 'contrastContour'].some(key => key in options);
+            if(rerender && this.domElement && this.color) { this._updateUI(); }
+            if(options.theme && this.domElement) { this._updateTheme(); }
+            if(('eyeDropper' in options) && this.domElement) { toggleClass(this.domElement, 'no_eyedropper', !this._sampler()); }
         
             //Event callbacks. Hook these up before setColor() below,
             //because we'll need to fire onChange() if there is a color in the options
+            if(options.onInput)  { this.onInput  = options.onInput; }
             if(options.onChange) { this.onChange = options.onChange; }
             if(options.onDone)   { this.onDone   = options.onDone; }
             if(options.onOpen)   { this.onOpen   = options.onOpen; }
             if(options.onClose)  { this.onClose  = options.onClose; }
+            if(options.onCancel) { this.onCancel = options.onCancel; }
+            if(options.onHistoryChange) { this.onHistoryChange = options.onHistoryChange; }
         
             //Note: Look for color in 'options', as a color value in 'settings' may be an old one we don't want to revert to.
             const col = options.color || options.colour;
@@ -226,12 +410,16 @@ class Picker {
             //A trick to avoid re-opening the dialog if you click the parent element while the dialog is open:
             this.settings.parent.style.pointerEvents = 'none';
 
+            //What "Cancel" reverts to:
+            this._originalColor = this.color.clone();
+            this._updateOriginal();
+
             //Recommended popup behavior with keyboard navigation from http://whatsock.com/tsg/Coding%20Arena/Popups/Popup%20(Internal%20Content)/demo.htm
             //Wait a little before focusing the textbox, in case the dialog was just opened with [Space] (would overwrite the color value with a " "):
             const toFocus = (e && (e.type === EVENT_KEY)) ? this._domEdit : this.domElement;
             setTimeout(() => toFocus.focus(), 100);
 
-            if(this.onOpen) { this.onOpen(this.color); }
+            this._fire('open');
         }
     }
 
@@ -245,6 +433,9 @@ class Picker {
         if(this.hide()) {
             this.settings.parent.style.pointerEvents = '';
 
+            //In case the user was typing in the editor:
+            this._commit();
+
             //Recommended popup behavior from http://whatsock.com/tsg/Coding%20Arena/Popups/Popup%20(Internal%20Content)/demo.htm
             //However, we don't re-focus the parent if the user closes the popup by clicking somewhere else on the screen,
             //because they may have scrolled to a different part of the page by then, and focusing would then inadvertently scroll the parent back into view:
@@ -252,7 +443,203 @@ class Picker {
                 this.settings.parent.focus();
             }
 
-            if(this.onClose) { this.onClose(this.color); }
+            this._fire('close');
+
+            //Closed without "Ok":
+            this._settlePick(null);
+        }
+    }
+
+
+    /*
+     * Close the popup with "Cancel" or Esc (or by clicking outside, with `settings.revertOnBlur`), and revert to the color from when it was opened.
+     *
+     * @private
+     */
+    _cancel(returnFocus) {
+        const original = this._originalColor;
+        if(original && !this._isCurrentColor(original.hex)) {
+            this.color = original.clone();
+            this._setHSXA(null, null, null, null, { history: true });
+        }
+
+        this._fire('cancel');
+        this.closeHandler(returnFocus);
+    }
+
+
+    /**
+     * Open the popup, and wait for the user to choose a color.
+     *
+     * @example
+     * const color = await picker.pick();
+     * if(color) {
+     *     myParentElement.style.backgroundColor = color.rgbaString;
+     * }
+     *
+     * @returns {Promise<?Object>} Resolves with the color (@see {@linkcode Picker~colorCallback|colorCallback}) when the user clicks "Ok",
+     *                             or with `null` if the popup is closed in any other way (Cancel, Esc, or clicking outside the popup).
+     */
+    pick() {
+        if(!this.settings.parent) { return Promise.resolve(null); }
+
+        //Only one pick at a time:
+        this._settlePick(null);
+
+        const promise = new Promise(resolve => { this._pickResolve = resolve; });
+        this.openHandler();
+        return promise;
+    }
+    _settlePick(color) {
+        const resolve = this._pickResolve;
+        if(resolve) {
+            this._pickResolve = null;
+            resolve(color);
+        }
+    }
+
+
+    /**
+     * Undo the user's last change to the color (a drag, a burst of typing in the editor, a swatch click etc).
+     * The user can also press Ctrl+Z (Cmd+Z on Mac) while the picker has focus.
+     *
+     * @returns {boolean} Whether there was anything to undo.
+     */
+    undo() {
+        return this._stepHistory(this._undoStack, this._redoStack);
+    }
+
+    /**
+     * Redo the last change which was undone. The user can also press Ctrl+Shift+Z (Cmd+Shift+Z on Mac) while the picker has focus.
+     *
+     * @returns {boolean} Whether there was anything to redo.
+     */
+    redo() {
+        return this._stepHistory(this._redoStack, this._undoStack);
+    }
+
+    /**
+     * Whether there are changes which can be undone with {@linkcode Picker#undo|undo()}.
+     * @type {boolean}
+     */
+    get canUndo() { return this._undoStack.length > 0; }
+
+    /**
+     * Whether there are undone changes which can be redone with {@linkcode Picker#redo|redo()}.
+     * @type {boolean}
+     */
+    get canRedo() { return this._redoStack.length > 0; }
+
+    _stepHistory(from, to) {
+        if(!from.length) { return false; }
+
+        to.push(this.color.clone());
+        this._endGesture();
+
+        this.color = from.pop();
+        this._setHSXA(null, null, null, null);
+        this._fire('historyChange');
+        return true;
+    }
+
+    /*
+     * Add the previous color to the undo history when the user changes the color.
+     *
+     * `gesture` is `true` for a single change, or the name of a gesture (like a drag),
+     * whose changes are combined into one undo step until the gesture ends (@see {@linkcode Picker#_endGesture|_endGesture()}).
+     *
+     * @private
+     */
+    _trackHistory(gesture) {
+        const prev = this._historyColor,
+              col = this.color;
+        this._historyColor = col.clone();
+
+        if(!gesture || !prev || (prev.hex === col.hex)) { return; }
+        if((gesture !== true) && (gesture === this._historyGesture)) { return; }
+
+        this._historyGesture = gesture;
+
+        const undo = this._undoStack;
+        undo.push(prev);
+        if(undo.length > HISTORY_SIZE) { undo.shift(); }
+        this._redoStack = [];
+
+        this._fire('historyChange');
+    }
+    //The next change starts a new undo step:
+    _endGesture() {
+        this._historyGesture = null;
+    }
+
+
+    /**
+     * Listen for picker events, in addition to the single callback properties like {@linkcode Picker#onChange|onChange}.
+     *
+     * The listener is called with an event object, where `event.detail` is the picker's color (@see {@linkcode Picker~colorCallback|colorCallback}):
+     * - `input`: The color changed, e.g. on every move while the user drags (@see {@linkcode Picker#onInput|onInput}).
+     * - `change`: The user has changed the color, e.g. at the end of a drag (@see {@linkcode Picker#onChange|onChange}).
+     *   Also when the color is set from code.
+     * - `done`: The user clicked "Ok".
+     * - `open` and `close`: The popup opened or closed.
+     * - `cancel`: The user closed the popup with "Cancel" or Esc.
+     * - `historyChange`: The undo history changed.
+     *
+     * @example
+     * picker.addEventListener('change', function(e) {
+     *     myParentElement.style.backgroundColor = e.detail.rgbaString;
+     * });
+     *
+     * @param {string}   type
+     * @param {function} listener
+     * @param {Object}   [options]
+     * @param {boolean}  [options.once] - Remove the listener after it has been called once.
+     */
+    addEventListener(type, listener, options) {
+        const listeners = this._listeners[type] || (this._listeners[type] = []);
+        if(listeners.some(l => l.listener === listener)) { return; }
+
+        listeners.push({ listener, once: !!(options && options.once) });
+    }
+
+    /**
+     * Stop listening for picker events.
+     *
+     * @param {string}   type
+     * @param {function} listener
+     */
+    removeEventListener(type, listener) {
+        const listeners = this._listeners[type];
+        if(listeners) {
+            this._listeners[type] = listeners.filter(l => l.listener !== listener);
+        }
+    }
+
+    /*
+     * Notify the callback property (e.g. `onChange`), the event listeners, and (if `settings.parentEvents`) the parent element about an event.
+     *
+     * @private
+     */
+    _fire(type) {
+        const color = this.color,
+              callback = this['on' + type[0].toUpperCase() + type.slice(1)];
+
+        if(callback) { callback.call(this, color); }
+
+        const listeners = this._listeners[type];
+        if(listeners && listeners.length) {
+            const event = { type, target: this, detail: color };
+
+            //Copy the list, in case a listener adds or removes listeners:
+            listeners.slice().forEach(l => {
+                if(l.once) { this.removeEventListener(type, l.listener); }
+                l.listener.call(this, event);
+            });
+        }
+
+        const parent = this.settings.parent;
+        if(this.settings.parentEvents && parent) {
+            parent.dispatchEvent(new CustomEvent('picker:' + type, { bubbles: true, detail: color }));
         }
     }
 
@@ -278,23 +665,36 @@ class Picker {
      * Set/initialize the picker's color.
      * 
      * @param {string}  color  - Color name, RGBA/HSLA/HEX string, or RGBA array.
-     * @param {boolean} silent - If true, won't trigger onChange.
+     * @param {boolean} silent - If true, won't trigger onInput or onChange.
      */
     setColor(color, silent) {
         this._setColor(color, { silent: silent });
     }
     _setColor(color, flags) {
         if(typeof color === 'string') { color = color.trim(); }
-        if (!color) { return; }
+        if (!color) { return false; }
 
         flags = flags || {};
+
+        //Custom formats first, as `color-conversion` may mistake an unknown string for a color name:
+        if(typeof color === 'string') {
+            for (const key in FORMATS) {
+                const parse = FORMATS[key].parse,
+                      parsed = parse && parse(color);
+                if(parsed) {
+                    color = parsed;
+                    break;
+                }
+            }
+        }
+
         let c;
         try {
             //Will throw on unknown colors:
             c = new Color(color);
         }
         catch (ex) {
-            if(flags.failSilently) { return; }
+            if(flags.failSilently) { return false; }
             throw ex;
         }
 
@@ -305,6 +705,7 @@ class Picker {
         }
         this.color = c;
         this._setHSLA(null, null, null, null, flags);
+        return true;
     }
     /**
      * @see {@linkcode Picker#setColor|setColor()}
@@ -325,8 +726,13 @@ class Picker {
         if(this.domElement) {
             const toggled = this._toggleDOM(true);
 
-            //Things could have changed through setOptions():
+            //The recent colors could have changed through other pickers which share them:
+            if(this.settings.recentColors) { this._renderSwatches(); }
+            this.flushUI();
+            //Things could have changed through setOptions() as well.
+            //Place the popup after the content is up to date, as that may change its size:
             this._setPosition();
+            if(toggled) { this._trackPosition(true); }
 
             return toggled;
         }
@@ -339,17 +745,56 @@ class Picker {
         this._domSL     = $('.picker_sl', wrapper);
         this._domA      = $('.picker_alpha', wrapper);
         this._domEdit   = $('.picker_editor input', wrapper);
+        this._domFormat = $('.picker_format button', wrapper);
+        this._domHint   = $('.picker_hint', wrapper);
+        this._domEyeDropper = $('.picker_eyedropper button', wrapper);
+        this._domContrast = $('.picker_contrast', wrapper);
         this._domSample = $('.picker_sample', wrapper);
+        this._domOriginal = $('.picker_original', wrapper);
         this._domOkay   = $('.picker_done button', wrapper);
         this._domCancel = $('.picker_cancel button', wrapper);
+        this._domArrow  = $('.picker_arrow', wrapper);
+        this._domLive   = $('.picker_live', wrapper);
+        this._domSwatches = $('.picker_swatches', wrapper);
+        this._domRecent = $('.picker_recent', wrapper);
+        this._domHarmony = $('.picker_harmony', wrapper);
+        this._thumbH    = $('.picker_selector', this._domH);
+        this._thumbSL   = $('.picker_selector', this._domSL);
+        this._thumbA    = $('.picker_selector', this._domA);
+        this._domContrastSample = $('.picker_contrast_sample', wrapper);
+        this._domRatio  = $('.picker_ratio', wrapper);
+        this._domAA     = $('.picker_aa', wrapper);
+        this._domAAA    = $('.picker_aaa', wrapper);
+        this._domAPCA   = $('.picker_apca', wrapper);
+        //See _renderUI():
+        this._rendered = {};
 
         wrapper.classList.add('layout_' + this.settings.layout);
+        this._updateTheme();
         if(!this.settings.alpha) { wrapper.classList.add('no_alpha'); }
         if(!this.settings.editor) { wrapper.classList.add('no_editor'); }
+        if(this._editorFormats().length < 2) { wrapper.classList.add('no_format'); }
+        if(!this._sampler()) { wrapper.classList.add('no_eyedropper'); }
+        if(this._domHint) {
+            this._domHint.id = 'picker_hint_' + (++hintCount);
+            this._domEdit.setAttribute('aria-describedby', this._domHint.id);
+        }
         if(!this.settings.cancelButton) { wrapper.classList.add('no_cancel'); }
-        this._ifPopup(() => wrapper.classList.add('popup'));
+        this._ifPopup(() => {
+            wrapper.classList.add('popup');
+
+            //A popup is a (modal) dialog for screen readers, labelled by the element which opened it if possible:
+            wrapper.setAttribute('role', 'dialog');
+            wrapper.setAttribute('aria-modal', 'true');
+            if(this.settings.parent.id) {
+                wrapper.setAttribute('aria-labelledby', this.settings.parent.id);
+            }
+            else {
+                wrapper.setAttribute('aria-label', 'Color picker');
+            }
+        });
         
-        this._setPosition();
+        this._renderSwatches();
 
 
         if(this.color) {
@@ -358,6 +803,12 @@ class Picker {
         else {
             this._setColor(this.settings.defaultColor);
         }
+        //Don't show an empty picker for a frame:
+        this.flushUI();
+
+        //After the content is rendered, so `popup: 'auto'` measures the popup at its full size:
+        this._setPosition();
+        this._trackPosition(true);
         this._bindEvents();
         
         return true;
@@ -368,6 +819,7 @@ class Picker {
      * Hide the picker.
      */
     hide() {
+        this._trackPosition(false);
         return this._toggleDOM(false);
     }
     
@@ -377,9 +829,19 @@ class Picker {
      */
     destroy() {
         this.closeHandler(true);
+        clearTimeout(this._announceTimeoutId);
+        cancelAnimationFrame(this._inputFrame);
+        cancelAnimationFrame(this._uiFrame);
+        this._listeners = {};
         this._events.destroy();
-        if(this.domElement) {
-            this.settings.parent.removeChild(this.domElement);
+        //Undo Picker.enhanceInput():
+        if(this._unenhance) {
+            this._unenhance();
+            this._unenhance = null;
+        }
+        const dom = this.domElement;
+        if(dom && dom.parentNode) {
+            dom.parentNode.removeChild(dom);
         }
     }
 
@@ -405,26 +867,106 @@ class Picker {
 
         /* Draggable color selection */
 
+        //Each drag is one undo step, and one `change` when it's done:
+        function drag(starting) {
+            if(starting) { that._endGesture(); }
+            return { history: 'drag', continuous: true };
+        }
+        const dragEnd = () => that._commit();
+
         //Select hue
-        utils.dragTrack(events, this._domH,  (x, y) => that._setHSLA(x));
+        if(this._isWheel()) {
+            utils.dragTrack(events, this._domH, (angle, radius, starting) => {
+                //Only on the ring itself, not in the hole in the middle or the corners outside:
+                if(starting && ((radius < 1 - 2 * WHEEL_RING) || (radius > 1))) { return false; }
+                that._setHSXA(angle, null, null, null, drag(starting));
+            }, true, dragEnd);
+        }
+        else {
+            utils.dragTrack(events, this._domH, (x, y, starting) => that._setHSXA(x, null, null, null, drag(starting)), false, dragEnd);
+        }
 
-        //Select saturation/lightness
-        utils.dragTrack(events, this._domSL, (x, y) => that._setHSLA(null, x, 1 - y));
+        //Select saturation/lightness (or value)
+        utils.dragTrack(events, this._domSL, (x, y, starting) => that._setHSXA(null, x, 1 - y, null, drag(starting)), false, dragEnd);
 
         //Select alpha
         if(this.settings.alpha) {
-            utils.dragTrack(events, this._domA,  (x, y) => that._setHSLA(null, null, null, 1 - y));
+            utils.dragTrack(events, this._domA,  (x, y, starting) => that._setHSXA(null, null, null, 1 - y, drag(starting)), false, dragEnd);
         }
         
         
+        /* Keyboard color selection */
+
+        function clamp(val) {
+            return Math.max(0, Math.min(val, 1));
+        }
+
+        //Hue (on the wheel, the arrow keys go around in a circle):
+        utils.keyTrack(events, this._domH, (dx, dy) => {
+            const delta = dx + dy;
+            let h = that._getHSXA()[0] + delta;
+            h = (that._isWheel() && (Math.abs(delta) < 1)) ? (h + 1) % 1 : clamp(h);
+            that._setHSXA(h, null, null, null, { history: true });
+        });
+
+        //Saturation/lightness (or value):
+        utils.keyTrack(events, this._domSL, (dx, dy) => {
+            const hsx = that._getHSXA();
+            that._setHSXA(null, clamp(hsx[1] + dx), clamp(hsx[2] + dy), null, { history: true });
+        });
+
+        //Alpha:
+        if(this.settings.alpha) {
+            utils.keyTrack(events, this._domA, (dx, dy) => {
+                that._setHSXA(null, null, null, clamp(that._getHSXA()[3] + dx + dy), { history: true });
+            });
+        }
+
+
         /* Direct color value editing */
 
         //Always init the editor, for accessibility and screen readers (we'll hide it with CSS if `!settings.editor`)
         const editInput = this._domEdit;
         /*if(this.settings.editor)*/ {
+            //A burst of typing is one undo step:
+            let lastEdit = 0;
             addEvent(editInput, 'input', function(e) {
-                that._setColor(this.value, { fromEditor: true, failSilently: true });
+                const now = Date.now();
+                if(now - lastEdit > EDIT_PAUSE) { that._endGesture(); }
+                lastEdit = now;
+
+                const valid = that._setColor(this.value, { fromEditor: true, failSilently: true, history: 'edit', continuous: true });
+                that._showInvalid(!valid);
+            }, { passive: true });
+            //Like a normal text input, the editor's `change` is on Enter or when it loses focus:
+            addEvent(editInput, 'change', () => {
+                that._endGesture();
+                that._commit();
             }, { passive: true });
+
+            //When the user is done typing, show the color in the editor's format (and get rid of any invalid text):
+            const normalize = () => {
+                editInput.value = that._printColor();
+                that._showInvalid(false);
+            };
+            addEvent(editInput, 'blur', normalize, { passive: true });
+            onKey(events, editInput, ['Enter'], normalize);
+
+            //Switch to the next format:
+            const uiFormat = this._domFormat;
+            if(uiFormat) {
+                addEvent(uiFormat, 'click', function(e) {
+                    const formats = that._editorFormats(),
+                          index = formats.indexOf(that.settings.editorFormat);
+
+                    that.settings.editorFormat = formats[(index + 1) % formats.length];
+                    that._updateUI();
+                }, { passive: true });
+                //Switch with [Enter] (through the button's click event), but don't trigger onDone as well:
+                addEvent(uiFormat, EVENT_KEY, function(e) {
+                    if(e.key === 'Enter') { e.stopPropagation(); }
+                }, { passive: true });
+            }
             //Select all text on focus:
             addEvent(editInput, 'focus', function(e) {
                 const input = this;
@@ -436,22 +978,107 @@ class Picker {
         }
 
 
+        /* Eyedropper */
+
+        if(this._domEyeDropper) {
+            addEvent(this._domEyeDropper, 'click', () => that._sample(), { passive: true });
+            addEvent(this._domEyeDropper, EVENT_KEY, function(e) {
+                if(e.key === 'Enter') { e.stopPropagation(); }
+            }, { passive: true });
+        }
+
+
+        /* Preset and recent swatches */
+
+        [this._domSwatches, this._domRecent, this._domHarmony].forEach(group => {
+            if(!group) { return; }
+
+            const groupSwatches = () => that._swatches.filter(s => s.group === group),
+                  swatchIndex = (list, elm) => {
+                      let index = -1;
+                      list.forEach((s, i) => { if(s.elm === elm) { index = i; } });
+                      return index;
+                  };
+
+            addEvent(group, 'click', function(e) {
+                const list = groupSwatches(),
+                      index = swatchIndex(list, e.target);
+                if(index >= 0) { that._setColor(list[index].color, { history: true }); }
+            });
+
+            //Arrow keys move the selection within the group, like radio buttons:
+            addEvent(group, EVENT_KEY, function(e) {
+                const list = groupSwatches(),
+                      count = list.length,
+                      index = swatchIndex(list, e.target);
+                if(index < 0) { return; }
+
+                let newIndex;
+                switch(e.key) {
+                    case 'ArrowLeft':  case 'Left':
+                    case 'ArrowUp':    case 'Up':
+                        newIndex = (index + count - 1) % count; break;
+                    case 'ArrowRight': case 'Right':
+                    case 'ArrowDown':  case 'Down':
+                        newIndex = (index + 1) % count; break;
+                    case 'Home':
+                        newIndex = 0; break;
+                    case 'End':
+                        newIndex = count - 1; break;
+                    //Select the swatch (through the button's click event), but don't let [Enter] trigger onDone as well:
+                    case 'Enter':
+                        e.stopPropagation();
+                        return;
+                    default:
+                        return;
+                }
+                e.preventDefault();
+
+                const swatch = list[newIndex];
+                that._setColor(swatch.color, { history: true });
+                swatch.elm.focus();
+            }, { passive: false });
+        });
+
+
+        /* Undo/redo */
+
+        addEvent(dom, EVENT_KEY, function(e) {
+            if(!(e.ctrlKey || e.metaKey) || e.altKey || (e.key.toLowerCase() !== 'z')) { return; }
+
+            //Also instead of the editor's own undo, which doesn't know about the other ways to change the color:
+            e.preventDefault();
+            if(e.shiftKey) { that.redo(); } else { that.undo(); }
+        }, { passive: false });
+
+
         /* Close the dialog */
 
         //onClose:
         this._ifPopup(() => {
-            addEvent(dom, 'blur', () => { that._closeTimeoutId = setTimeout(() => that.closeHandler(false), 0); },{ passive: true, capture: true });
+            const cancel = () => that._cancel(true),
+                  blurClose = () => {
+                      //The user may be clicking outside the popup to pick a color with `settings.eyeDropper`:
+                      if(that._sampling) { return; }
+                      that.settings.revertOnBlur ? that._cancel(false) : that.closeHandler(false);
+                  };
+
+            addEvent(dom, 'blur', () => { that._closeTimeoutId = setTimeout(blurClose, 0); },{ passive: true, capture: true });
             addEvent(dom, 'focus', () => clearTimeout(that._closeTimeoutId), { passive: true, capture: true });
-            onKey(events, dom, ['Esc', 'Escape'], () => that.closeHandler(true), { passive: true });
+            onKey(events, dom, ['Esc', 'Escape'], cancel, { passive: true });
             
             //Cancel button:
-            addEvent(this._domCancel, 'click', () => that.closeHandler(true), { passive: true });
+            addEvent(this._domCancel, 'click', cancel, { passive: true });
         });
 
         //onDone:
         const onDoneProxy = (e) => {
+            that._commit();
+            that._addRecent();
+            //Before closeHandler(), which would resolve with `null`:
+            that._settlePick(that.color);
             that._ifPopup(() => that.closeHandler(true));
-            if (that.onDone) { that.onDone(that.color); }
+            that._fire('done');
         };
         addEvent(this._domOkay, 'click',   onDoneProxy, { passive: true });
         onKey(events, dom,      ['Enter'], onDoneProxy);
@@ -465,34 +1092,182 @@ class Picker {
      */
     _setPosition() {
         const parent = this.settings.parent,
-              elm = this.domElement;
+              elm = this.domElement,
+              portal = this._isPortal(),
+              container = portal ? this.settings.appendTo : parent;
 
-        if(parent !== elm.parentNode) { parent.appendChild(elm); }
+        if(container !== elm.parentNode) {
+            container.appendChild(elm);
+            this._injectStyle(elm);
+        }
+        toggleClass(elm, 'portal', portal);
 
         this._ifPopup((popup) => {
 
-            //Allow for absolute positioning of the picker popup:
-            if(getComputedStyle(parent).position === 'static') {
+            //Allow for absolute positioning of the picker popup
+            //(not needed when the popup is somewhere else, where it's positioned in _placePortal() instead):
+            if(!portal && (getComputedStyle(parent).position === 'static')) {
                 parent.style.position = 'relative';
             }
 
-            const cssClass = (popup === true) ? 'popup_right' : 'popup_' + popup;
+            const place = (placement) => {
+                //A custom placement (any other name) gets its class as well, for placement via CSS:
+                POPUP_PLACEMENTS.concat(placement).forEach(p => toggleClass(elm, 'popup_' + p, p === placement));
 
-            ['popup_top', 'popup_bottom', 'popup_left', 'popup_right'].forEach(c => {
-                //Because IE doesn't support .classList.toggle()'s second argument...
-                if(c === cssClass) {
-                    elm.classList.add(c);
-                }
-                else {
-                    elm.classList.remove(c);
+                //Reset any adjustments from _shiftIntoView():
+                ['left', 'top', 'right', 'bottom'].forEach(side => { elm.style[side] = ''; });
+                if(this._domArrow) { this._domArrow.style.left = this._domArrow.style.top = ''; }
+
+                if(portal) { this._placePortal(placement); }
+            };
+
+            if(popup !== 'auto') {
+                place((popup === true) ? 'right' : popup);
+                return;
+            }
+
+            //Try the placements in order, and use the first one which fits on screen (or else the one which shows the most of the popup):
+            const bounds = utils.visibleBounds(elm);
+            let best, bestArea = -1;
+            this.settings.popupOrder.some(placement => {
+                place(placement);
+
+                const rect = elm.getBoundingClientRect(),
+                      visibleW = Math.min(rect.right, bounds.right) - Math.max(rect.left, bounds.left),
+                      visibleH = Math.min(rect.bottom, bounds.bottom) - Math.max(rect.top, bounds.top),
+                      area = Math.max(visibleW, 0) * Math.max(visibleH, 0);
+
+                if(area > bestArea) {
+                    best = placement;
+                    bestArea = area;
                 }
+                //The whole popup is visible:
+                return (area >= rect.width * rect.height);
             });
 
-            //Allow for custom placement via CSS:
-            elm.classList.add(cssClass);
+            place(best);
+            this._shiftIntoView(best, bounds);
         });
     }
 
+    /*
+     * Move an `auto` popup along the side of the parent until it's fully visible,
+     * and keep the arrow pointing at the parent.
+     *
+     * @private
+     */
+    _shiftIntoView(placement, bounds) {
+        const elm = this.domElement,
+              arrow = this._domArrow,
+              rect = elm.getBoundingClientRect(),
+              horizontal = (placement === 'top') || (placement === 'bottom');
+
+        const start = horizontal ? 'left' : 'top',
+              min   = horizontal ? rect.left  : rect.top,
+              max   = horizontal ? rect.right : rect.bottom,
+              size  = max - min;
+
+        let shift = 0;
+        if(max > bounds[horizontal ? 'right' : 'bottom']) { shift = bounds[horizontal ? 'right' : 'bottom'] - max; }
+        if(min + shift < bounds[start]) { shift = bounds[start] - min; }
+        if(!shift) { return; }
+
+        //The popup's default position (left/top) along this side of the parent is 0, unless it's set by _placePortal():
+        elm.style[start] = ((parseFloat(elm.style[start]) || 0) + shift) + 'px';
+        if(!arrow) { return; }
+
+        const arrowSize = horizontal ? arrow.offsetWidth : arrow.offsetHeight;
+        arrow.style[start] = Math.max(0, Math.min(-shift, size - arrowSize)) + 'px';
+    }
+
+    /*
+     * Position a popup which isn't inside its parent (`settings.appendTo`) next to the parent, like the popup_... CSS classes do.
+     * The popup has `position: fixed`, so we can use the parent's position in the viewport.
+     *
+     * @private
+     */
+    _placePortal(placement) {
+        const p = this.settings.parent.getBoundingClientRect(),
+              root = document.documentElement,
+              style = this.domElement.style;
+
+        //Override the popup_... classes:
+        style.left = style.top = style.right = style.bottom = 'auto';
+
+        switch(placement) {
+            case 'top':
+                style.left   = p.left + 'px';
+                style.bottom = (root.clientHeight - p.top) + 'px';
+                break;
+            case 'bottom':
+                style.left = p.left + 'px';
+                style.top  = p.bottom + 'px';
+                break;
+            case 'left':
+                style.top   = p.top + 'px';
+                style.right = (root.clientWidth - p.left) + 'px';
+                break;
+            default:
+                style.top  = p.top + 'px';
+                style.left = p.right + 'px';
+        }
+    }
+
+    _updateTheme() {
+        THEMES.forEach(t => toggleClass(this.domElement, 'theme_' + t, t === this.settings.theme));
+    }
+
+
+    /*
+     * Add the picker CSS to the document or shadow root which `node` is in (or `settings.styleRoot`).
+     *
+     * @private
+     */
+    _injectStyle(node) {
+        const settings = this.settings;
+        if(!settings.injectStyle) { return; }
+
+        let root = settings.styleRoot || node.getRootNode();
+        //Not on the page (yet):
+        if((root.nodeType !== Node.DOCUMENT_NODE) && !root.host) { root = document; }
+
+        Picker.injectStyle(root, { adopt: (settings.injectStyle === 'adopt'), nonce: settings.nonce });
+    }
+
+    _isPortal() {
+        const appendTo = this.settings.appendTo;
+        return !!(appendTo && this.settings.popup && (appendTo !== this.settings.parent));
+    }
+
+    /*
+     * Keep an `auto` popup in view, or an `appendTo` popup next to its parent, while the page scrolls or resizes.
+     *
+     * @private
+     */
+    _trackPosition(track) {
+        const events = this._events,
+              tracker = this._positionTracker;
+        if(tracker) {
+            events.remove(window, 'resize', tracker);
+            events.remove(document, 'scroll', tracker);
+            cancelAnimationFrame(this._positionFrame);
+            this._positionTracker = this._positionFrame = null;
+        }
+
+        if(track && ((this.settings.popup === 'auto') || this._isPortal()) && this.domElement) {
+            const update = this._positionTracker = () => {
+                if(this._positionFrame) { return; }
+                this._positionFrame = requestAnimationFrame(() => {
+                    this._positionFrame = null;
+                    this._setPosition();
+                });
+            };
+            events.add(window, 'resize', update, { passive: true });
+            //Capture scroll events from any scrolling container, not only the document:
+            events.add(document, 'scroll', update, { passive: true, capture: true });
+        }
+    }
+
 
     /*
      * "Hub" for all color changes
@@ -500,38 +1275,163 @@ class Picker {
      * @private
      */
     _setHSLA(h, s, l, a,  flags) {
+        this._setComponents('hsla', [h, s, l, a], flags);
+    }
+    _setHSVA(h, s, v, a,  flags) {
+        this._setComponents('hsva', [h, s, v, a], flags);
+    }
+    _setOKLCH(l, c, h, a,  flags) {
+        this._setComponents('oklch', [l, c, h, a], flags);
+    }
+    //Hue, saturation/chroma, lightness/value and alpha (all between 0 and 1), in the color model of the SL panel:
+    _setHSXA(h, s, x, a,  flags) {
+        const model = this._colorModel();
+        if(model === 'hsv') {
+            this._setHSVA(h, s, x, a, flags);
+        }
+        else if(model === 'oklch') {
+            const scale = (val, max) => (val || (val === 0)) ? val * max : val;
+            this._setOKLCH(x, scale(s, OKLCH_MAX_CHROMA), scale(h, HUES), a, flags);
+        }
+        else {
+            this._setHSLA(h, s, x, a, flags);
+        }
+    }
+    _getHSXA() {
+        const col = this.color,
+              model = this._colorModel();
+        if(model === 'hsv') {
+            return col.hsva;
+        }
+        else if(model === 'oklch') {
+            const [l, c, h, a] = col.oklch;
+            return [h / HUES, Math.min(c / OKLCH_MAX_CHROMA, 1), l, a];
+        }
+        return col.hsla;
+    }
+    _setComponents(model, values, flags) {
         flags = flags || {};
 
         const col = this.color,
-              hsla = col.hsla;
+              comps = col[model];
 
-        [h, s, l, a].forEach((x, i) => {
-            if(x || (x === 0)) { hsla[i] = x; }
+        values.forEach((x, i) => {
+            if(x || (x === 0)) { comps[i] = x; }
         });
-        col.hsla = hsla;
+        col[model] = comps;
 
+        this._trackHistory(flags.history);
         this._updateUI(flags);
 
-        if(this.onChange && !flags.silent) { this.onChange(col); }
+        if(!flags.silent) { this._fireInput(); }
+        //Changes in the middle of a drag etc. are committed (with a `change` event) when it ends, see _commit():
+        if(!flags.continuous) { this._fireChange(flags.silent); }
+    }
+
+    /*
+     * Fire `input`, or with `settings.throttleInput`, wait for the next animation frame (and any other changes until then).
+     *
+     * @private
+     */
+    _fireInput() {
+        if(!this.settings.throttleInput) {
+            this._fire('input');
+            return;
+        }
+        if(!this._inputFrame) {
+            this._inputFrame = requestAnimationFrame(() => {
+                this._inputFrame = null;
+                this._fire('input');
+            });
+        }
+    }
+    _fireChange(silent) {
+        this._committedHex = this.color.hex;
+        if(silent) { return; }
+
+        //Any throttled `input` goes first:
+        if(this._inputFrame) {
+            cancelAnimationFrame(this._inputFrame);
+            this._inputFrame = null;
+            this._fire('input');
+        }
+        this._fire('change');
+    }
+    //The end of a continuous change (see _setComponents()), like a drag:
+    _commit() {
+        if(this.color && (this.color.hex !== this._committedHex)) { this._fireChange(); }
+    }
+
+    _isWheel() {
+        return (this.settings.layout === 'wheel');
+    }
+
+    _colorModel() {
+        const model = this.settings.colorModel;
+        return (COLOR_MODELS.indexOf(model) >= 0) ? model : 'hsl';
     }
 
     _updateUI(flags) {
         if(!this.domElement) { return; }
-        flags = flags || {};
+
+        //Draw once per animation frame, however many times the color changes (e.g. while dragging).
+        //The latest flags win, as they belong to the color we'll show:
+        this._uiFlags = flags || {};
+        if(!this._uiFrame) {
+            this._uiFrame = requestAnimationFrame(() => {
+                this._uiFrame = null;
+                this._renderUI();
+            });
+        }
+    }
+
+    /**
+     * Draw any pending changes right away, instead of at the next animation frame.
+     * The picker's UI is updated once per frame, so call this before reading from the picker's DOM right after changing the color (e.g. in tests).
+     */
+    flushUI() {
+        if(this._uiFrame) {
+            cancelAnimationFrame(this._uiFrame);
+            this._uiFrame = null;
+            this._renderUI();
+        }
+    }
+
+    /*
+     * Update the DOM from the current color. Only the parts which have changed since the last time are touched.
+     *
+     * @private
+     */
+    _renderUI() {
+        if(!this.domElement) { return; }
+        const flags = this._uiFlags || {};
 
         const col = this.color,
+              settings = this.settings,
               hsl = col.hsla,
-              cssHue  = `hsl(${hsl[0] * HUES}, 100%, 50%)`,
+              model = this._colorModel(),
+              isOK = (model === 'oklch'),
+              isWheel = this._isWheel(),
+              hsx = this._getHSXA(),
+              cssHue  = isOK ? okHue(hsx[0]) : `hsl(${hsl[0] * HUES}, 100%, 50%)`,
               cssHSL  = col.hslString,
               cssHSLA = col.hslaString;
 
         const uiH  = this._domH,
               uiSL = this._domSL,
               uiA  = this._domA,
-              thumbH  = $('.picker_selector', uiH),
-              thumbSL = $('.picker_selector', uiSL),
-              thumbA  = $('.picker_selector', uiA);
-        
+              thumbH  = this._thumbH,
+              thumbSL = this._thumbSL,
+              thumbA  = this._thumbA;
+
+        //The values we last wrote to the DOM, by what they're for (reset when the DOM is created in show()):
+        const rendered = this._rendered;
+        function changed(key, value) {
+            if(rendered[key] === value) { return false; }
+            rendered[key] = value;
+            return true;
+        }
+
         function posX(parent, child, relX) {
             child.style.left = (relX * 100) + '%'; //(parent.clientWidth * relX) + 'px';
         }
@@ -540,59 +1440,581 @@ class Picker {
         }
 
 
+        if(changed('model', model)) {
+            COLOR_MODELS.forEach(m => toggleClass(this.domElement, 'model_' + m, m === model));
+        }
+
+
         /* Hue */
-        
-        posX(uiH, thumbH, hsl[0]);
-        
+
+        if(changed('thumbH', [hsx[0], isWheel].join())) { this._placeHueThumb(thumbH, hsx[0]); }
+
         //Use the fully saturated hue on the SL panel and Hue thumb:
-        this._domSL.style.backgroundColor = this._domH.style.color = cssHue;
+        if(changed('hue', cssHue)) {
+            uiH.style.color = cssHue;
+            //(The OKLCH panel draws its own colors, because the sRGB gamut's shape can't be made with CSS gradients)
+            uiSL.style.backgroundColor = isOK ? '' : cssHue;
+        }
+        if(changed('hueBackground', [isOK, isWheel].join())) {
+            uiH.style.backgroundImage = isOK ? okHueBackground(isWheel) : '';
+        }
+        if(isOK) { this._drawGamut(hsx[0] * HUES); }
 
 
-        /* S/L */
-        
-        posX(uiSL, thumbSL, hsl[1]);
-        posY(uiSL, thumbSL, 1 - hsl[2]);
-        
-        //Use the opaque HSL on the SL thumb:
-        uiSL.style.color = cssHSL;
+        /* S/L (or S/V, C/L) */
+
+        if(changed('thumbSL', [hsx[1], hsx[2]].join())) {
+            posX(uiSL, thumbSL, hsx[1]);
+            posY(uiSL, thumbSL, 1 - hsx[2]);
+        }
 
 
         /* Alpha */
-        
-        posY(uiA,  thumbA,  1 - hsl[3]);
 
-        const opaque = cssHSL,
-              transp = opaque.replace('hsl', 'hsla').replace(')', ', 0)'),
-              bg = `linear-gradient(${[opaque, transp]})`;
+        if(changed('thumbA', hsl[3])) { posY(uiA, thumbA, 1 - hsl[3]); }
 
-        //Let the Alpha slider fade from opaque to transparent:
-        this._domA.style.background = bg + ', ' + BG_TRANSP;
+        if(changed('opaque', cssHSL)) {
+            //Use the opaque HSL on the SL thumb:
+            uiSL.style.color = cssHSL;
+
+            const opaque = cssHSL,
+                  transp = opaque.replace('hsl', 'hsla').replace(')', ', 0)'),
+                  bg = `linear-gradient(${[opaque, transp]})`;
+
+            //Let the Alpha slider fade from opaque to transparent:
+            uiA.style.background = bg + ', ' + BG_TRANSP;
+        }
 
 
         /* Editable value */
-        
+
         //Don't update the editor if the user is typing.
         //That creates too much noise because of our auto-expansion of 3/4/6 -> 8 digit hex codes.
         if(!flags.fromEditor) {
-            const format = this.settings.editorFormat,
-                  alpha = this.settings.alpha;
-
-            let value;
-            switch (format) {
-                case 'rgb': value = col.printRGB(alpha); break;
-                case 'hsl': value = col.printHSL(alpha); break;
-                default:    value = col.printHex(alpha);
-            }
-            this._domEdit.value = value;
+            const printed = this._printColor();
+            if(this._domEdit.value !== printed) { this._domEdit.value = printed; }
+            if(changed('invalid', false)) { this._showInvalid(false); }
+        }
+        const uiFormat = this._domFormat,
+              label = this._format().label;
+        if(uiFormat && changed('format', label)) {
+            uiFormat.textContent = label;
+            uiFormat.setAttribute('aria-label', 'Color format: ' + label);
         }
 
 
         /* Sample swatch */
-        
-        this._domSample.style.color = cssHSLA;
+
+        if(changed('sample', cssHSLA)) { this._domSample.style.color = cssHSLA; }
+        const original = this._originalColor;
+        if(changed('original', [original && original.hex, col.hex, settings.alpha].join())) { this._updateOriginal(); }
+
+
+        /* Preset swatches */
+
+        const harmony = [settings.harmony, hsx, model, settings.alpha].join();
+        if(changed('harmony', harmony)) { this._updateHarmony(hsx); }
+        if(changed('swatches', [col.hex, harmony].join())) { this._updateSwatches(); }
+
+
+        /* Contrast */
+
+        const ref = this._contrastReference();
+        if(changed('contrast', [ref && ref.hex, col.hex, hsx[0], model, settings.contrastContour, settings.contrastAPCA].join())) {
+            this._updateContrast(hsx);
+        }
+
+
+        /* Screen readers */
+
+        const pct = (x) => Math.round(x * 100) + '%',
+              hue = Math.round(hsx[0] * HUES) % HUES,
+              axes = SL_AXES[model],
+              textSL = `${axes[0]} ${pct(hsx[1])}, ${axes[1]} ${pct(hsx[2])}`;
+
+        if(changed('ariaH', hue)) {
+            uiH.setAttribute('aria-valuenow', hue);
+            uiH.setAttribute('aria-valuetext', hue + ' degrees');
+        }
+
+        if(changed('ariaSL', textSL)) {
+            uiSL.setAttribute('aria-label', axes.join(' and '));
+            uiSL.setAttribute('aria-valuenow', Math.round(hsx[1] * 100));
+            uiSL.setAttribute('aria-valuetext', textSL);
+        }
+
+        if(changed('ariaA', pct(hsx[3]))) {
+            uiA.setAttribute('aria-valuenow', Math.round(hsx[3] * 100));
+            uiA.setAttribute('aria-valuetext', pct(hsx[3]));
+        }
+
+        //Announce the color when the user stops changing it:
+        const live = this._domLive;
+        if(live) {
+            clearTimeout(this._announceTimeoutId);
+            this._announceTimeoutId = setTimeout(() => {
+                const printed = this._printColor(),
+                      name = col.name;
+                live.textContent = (name && (name !== printed)) ? `${name}, ${printed}` : printed;
+            }, ANNOUNCE_DELAY);
+        }
+    }
+
+
+    _placeHueThumb(thumb, relHue) {
+        const style = thumb.style;
+        if(this._isWheel()) {
+            const angle = relHue * 2 * Math.PI;
+            style.left = ((.5 + Math.sin(angle) * WHEEL_RADIUS) * 100) + '%';
+            style.top  = ((.5 - Math.cos(angle) * WHEEL_RADIUS) * 100) + '%';
+        }
+        else {
+            style.left = (relHue * 100) + '%';
+        }
+    }
+
+
+    /*
+     * Show the contrast between the current color and `settings.contrastAgainst`.
+     *
+     * @private
+     */
+    _updateContrast(hsx) {
+        const dom = this._domContrast,
+              settings = this.settings;
+        if(!dom) { return; }
+
+        const ref = this._contrastReference();
+        toggleClass(this.domElement, 'no_contrast', !ref);
+        toggleClass(this.domElement, 'no_contour', !(ref && settings.contrastContour));
+        if(!ref) { return; }
+
+        const bg = ref.rgba,
+              fg = blend(this.color.rgba, bg),
+              ratio = Color.contrastRatio(fg, bg);
+
+        const sample = this._domContrastSample;
+        sample.style.color = `rgb(${fg})`;
+        sample.style.backgroundColor = ref.rgbString;
+
+        //Round down, so we don't show e.g. 4.5 for a ratio which fails AA:
+        this._domRatio.textContent = (Math.floor(ratio * 100) / 100) + ':1';
+
+        [[this._domAA, 'AA', WCAG_AA], [this._domAAA, 'AAA', WCAG_AAA]].forEach(([badge, label, limit]) => {
+            const pass = (ratio >= limit);
+            badge.textContent = label + (pass ? ' \u2713' : ' \u2717');
+            toggleClass(badge, 'pass', pass);
+        });
+
+        this._domAPCA.textContent = settings.contrastAPCA ? 'Lc ' + Math.round(Color.contrastAPCA(fg, bg)) : '';
+
+        if(settings.contrastContour) { this._drawContour(hsx[0], bg); }
+    }
+
+    _contrastReference() {
+        let ref = this.settings.contrastAgainst;
+        if(typeof ref === 'function') { ref = ref(); }
+        if(!ref) { return null; }
+
+        //Don't parse the same color on every update:
+        if(ref !== this._contrastInput) {
+            this._contrastInput = ref;
+            try {
+                this._contrastColor = new Color(ref);
+            }
+            catch (ex) {
+                this._contrastColor = null;
+            }
+        }
+        return this._contrastColor;
+    }
+
+    /*
+     * Draw the line between the colors with and without enough contrast (WCAG AA) on the SL panel.
+     *
+     * @private
+     */
+    _drawContour(hue, bg) {
+        let canvas = this._domContour;
+        if(!canvas) {
+            canvas = this._domContour = document.createElement('canvas');
+            canvas.className = 'picker_contour';
+            canvas.width = canvas.height = CONTOUR_SIZE;
+            this._domSL.insertBefore(canvas, $('.picker_selector', this._domSL));
+        }
+
+        const key = [this._colorModel(), hue, bg].join();
+        if(key === this._contourKey) { return; }
+
+        const ctx = canvas.getContext && canvas.getContext('2d');
+        if(!ctx) { return; }
+        this._contourKey = key;
+
+        const size = CONTOUR_SIZE,
+              passes = [];
+        for(let y = 0; y < size; y++) {
+            for(let x = 0; x < size; x++) {
+                const rgb = this._panelColor(hue, (x + .5) / size, 1 - (y + .5) / size);
+                passes.push(Color.contrastRatio(rgb, bg) >= WCAG_AA);
+            }
+        }
+
+        const image = ctx.createImageData(size, size),
+              data = image.data;
+        passes.forEach((pass, i) => {
+            const x = i % size,
+                  edge = ((x < size - 1) && (passes[i + 1] !== pass)) ||
+                         ((i + size < passes.length) && (passes[i + size] !== pass));
+            if(edge) {
+                data.fill(255, i * 4, i * 4 + 4);
+            }
+        });
+        ctx.putImageData(image, 0, 0);
+    }
+
+    /*
+     * The RGB color at a point on the SL panel, with the relative hue `h`.
+     *
+     * @private
+     */
+    _panelColor(h, s, x) {
+        switch (this._colorModel()) {
+            case 'hsv':   return Color.hslToRgb(Color.hsvToHsl([h, s, x, 1]));
+            case 'oklch': return Color.oklchToRgb([x, s * OKLCH_MAX_CHROMA, h * HUES, 1]).rgba;
+            default:      return Color.hslToRgb([h, s, x, 1]);
+        }
+    }
+
+
+    /*
+     * The function which picks a color from the screen: The browser's `EyeDropper`, or the fallback in `settings.eyeDropper`.
+     *
+     * @private
+     */
+    _sampler() {
+        const option = this.settings.eyeDropper;
+        if(!option) { return null; }
+
+        if(window.EyeDropper) {
+            return () => new window.EyeDropper().open().then(result => result.sRGBHex);
+        }
+        return (typeof option === 'function') ? option : null;
+    }
+
+    _sample() {
+        const sampler = this._sampler();
+        if(!sampler || this._sampling) { return; }
+
+        const done = () => {
+            this._sampling = false;
+            //Keep the popup open, in case the user clicked outside of it:
+            this._domEyeDropper.focus();
+        };
+
+        this._sampling = true;
+        Promise.resolve(sampler())
+            .then(color => {
+                done();
+                if(color) { this._setColor(color, { history: true, failSilently: true }); }
+            })
+            //E.g. the user pressed Esc:
+            .catch(done);
+    }
+
+
+    /*
+     * Mark the editor's text as (in)valid, and show `settings.editorHint` if it's invalid.
+     *
+     * @private
+     */
+    _showInvalid(invalid) {
+        const input = this._domEdit,
+              hint = this._domHint;
+
+        //Keep _renderUI() from skipping the next reset:
+        this._rendered.invalid = invalid;
+        toggleClass(input.parentNode, 'invalid', invalid);
+        if(invalid) {
+            input.setAttribute('aria-invalid', 'true');
+        }
+        else {
+            input.removeAttribute('aria-invalid');
+        }
+        if(hint) { hint.textContent = invalid ? (this.settings.editorHint || '') : ''; }
+    }
+
+
+    /*
+     * The current color in the editor's format.
+     *
+     * @private
+     */
+    _printColor() {
+        return this._format().print(this.color, this.settings.alpha);
+    }
+    _format() {
+        return FORMATS[this.settings.editorFormat] || FORMATS.hex;
+    }
+    _editorFormats() {
+        return (this.settings.editorFormats || []).filter(f => FORMATS[f]);
     }
     
     
+    /*
+     * Show the color from when the popup was opened next to the current color, when they differ.
+     *
+     * @private
+     */
+    _updateOriginal() {
+        const original = this._originalColor,
+              dom = this._domOriginal;
+        if(!dom) { return; }
+
+        const show = !!original && !this._isCurrentColor(original.hex);
+        toggleClass(this._domSample, 'with_original', show);
+        if(show) { dom.style.color = original.rgbaString; }
+    }
+
+
+    /*
+     * (Re)create the preset swatches from `settings.swatches`, and the recent colors.
+     *
+     * @private
+     */
+    _renderSwatches() {
+        //The harmony colors follow the current color instead, see _updateHarmony():
+        this._swatches = (this._swatches || []).filter(s => s.group === this._domHarmony);
+        this._renderSwatchGroup(this._domSwatches, this.settings.swatches || []);
+        this._renderSwatchGroup(this._domRecent,   this._getRecent(), true);
+
+        if(this.color) { this._updateSwatches(); }
+    }
+    _renderSwatchGroup(group, colors, skipInvalid) {
+        if(!group) { return; }
+
+        group.innerHTML = '';
+        colors.forEach(color => {
+            let c;
+            try {
+                c = new Color(color);
+            }
+            catch (ex) {
+                if(skipInvalid) { return; }
+                throw ex;
+            }
+            const elm = document.createElement('button');
+
+            elm.type = 'button';
+            elm.className = 'picker_swatch';
+            elm.setAttribute('role', 'radio');
+            elm.setAttribute('aria-label', color);
+            elm.title = color;
+            elm.style.color = c.rgbaString;
+            group.appendChild(elm);
+
+            this._swatches.push({ elm, color, group, hex: c.hex });
+        });
+    }
+
+    /*
+     * Highlight the swatches which match the current color.
+     *
+     * @private
+     */
+    _updateSwatches() {
+        if(!this._swatches) { return; }
+
+        [this._domSwatches, this._domRecent, this._domHarmony].forEach(group => {
+            const swatches = this._swatches.filter(s => s.group === group);
+            if(!swatches.length) { return; }
+
+            let selected = -1;
+            swatches.forEach((s, i) => {
+                const isMatch = (selected < 0) && this._isCurrentColor(s.hex);
+                if(isMatch) { selected = i; }
+                s.elm.setAttribute('aria-checked', isMatch);
+            });
+
+            //Only one swatch per group in the tab order (the selected one, or the first):
+            swatches.forEach((s, i) => { s.elm.tabIndex = (i === Math.max(selected, 0)) ? 0 : -1; });
+        });
+    }
+
+    /*
+     * Show the colors of `settings.harmony`, as swatches and thumbs on the hue slider.
+     *
+     * @private
+     */
+    _updateHarmony(hsx) {
+        const group = this._domHarmony,
+              type = this.settings.harmony,
+              colors = HARMONIES[type] ? this.getHarmony(type).slice(1) : [];
+        if(!group) { return; }
+
+        //Markers on the hue slider (not for monochromatic colors, which all have the same hue):
+        const offsets = HARMONIES[type] || [],
+              thumbs = this._harmonyThumbs || (this._harmonyThumbs = []);
+        while(thumbs.length < offsets.length) {
+            const thumb = document.createElement('div');
+            thumb.className = 'picker_selector picker_harmony_thumb';
+            thumb.setAttribute('aria-hidden', 'true');
+            thumbs.push(this._domH.appendChild(thumb));
+        }
+        thumbs.forEach((thumb, i) => {
+            const show = (i < offsets.length);
+            thumb.style.display = show ? '' : 'none';
+            if(!show) { return; }
+
+            const h = (hsx[0] + offsets[i] / HUES + 1) % 1;
+            this._placeHueThumb(thumb, h);
+            thumb.style.color = (this._colorModel() === 'oklch') ? okHue(h) : `hsl(${h * HUES}, 100%, 50%)`;
+        });
+
+        //Swatches. Update them in place if we can, so a swatch which was just clicked keeps the focus:
+        const labels = colors.map(c => c.printHex(this.settings.alpha)),
+              swatches = this._swatches.filter(s => s.group === group);
+        if(swatches.length === labels.length) {
+            swatches.forEach((s, i) => {
+                s.color = labels[i];
+                s.hex = colors[i].hex;
+                s.elm.style.color = colors[i].rgbaString;
+                s.elm.setAttribute('aria-label', s.color);
+                s.elm.title = s.color;
+            });
+        }
+        else {
+            this._swatches = this._swatches.filter(s => s.group !== group);
+            this._renderSwatchGroup(group, labels);
+        }
+    }
+
+    /**
+     * Colors which go with the selected color, based on the color wheel of the picker's color model (`settings.colorModel`).
+     *
+     * - `complementary`: The opposite hue.
+     * - `split`: The two hues next to the opposite hue (150 and 210 degrees away).
+     * - `triadic`: Three hues evenly spread around the wheel.
+     * - `tetradic`: Two pairs of opposite hues (a rectangle on the wheel: 60, 180 and 240 degrees away).
+     * - `analogous`: The hues 30 degrees to each side.
+     * - `monochromatic`: The same hue with darker and lighter shades.
+     *
+     * @example
+     * const palette = picker.getHarmony('triadic').map(color => color.hex);
+     *
+     * @param {('complementary'|'split'|'triadic'|'tetradic'|'analogous'|'monochromatic')} type
+     * @returns {Object[]} The selected color followed by the other colors in the harmony (@see {@linkcode Picker~colorCallback|colorCallback}),
+     *                     or an empty array if the picker has no color yet.
+     */
+    getHarmony(type) {
+        if(!HARMONIES[type]) { throw new Error('Unknown harmony; ' + type); }
+        if(!this.color) { return []; }
+
+        const [h, s, x, a] = this._getHSXA(),
+              colors = [this.color.clone()];
+
+        if(type === 'monochromatic') {
+            //Shades and tints:
+            [x * .4, x * .7, x + (1 - x) * .3, x + (1 - x) * .6].forEach(x2 => colors.push(this._colorFromHSXA(h, s, x2, a)));
+        }
+        else {
+            HARMONIES[type].forEach(offset => colors.push(this._colorFromHSXA((h + offset / HUES + 1) % 1, s, x, a)));
+        }
+        return colors;
+    }
+
+    //A new color from relative hue, saturation etc values in the picker's color model (@see {@linkcode Picker#_getHSXA|_getHSXA()}):
+    _colorFromHSXA(h, s, x, a) {
+        const col = new Color();
+        switch (this._colorModel()) {
+            case 'hsv':   col.hsva  = [h, s, x, a]; break;
+            case 'oklch': col.oklch = [x, s * OKLCH_MAX_CHROMA, h * HUES, a]; break;
+            default:      col.hsla  = [h, s, x, a];
+        }
+        return col;
+    }
+
+    _isCurrentColor(hex) {
+        //Compare without alpha if it's disabled, as the current color is always opaque then:
+        const len = this.settings.alpha ? 9 : 7;
+        return (hex.substring(0, len) === this.color.hex.substring(0, len));
+    }
+
+
+    /*
+     * Recent colors
+     *
+     * @private
+     */
+    _getRecent() {
+        const max = this.settings.recentColors;
+        if(!max) { return []; }
+
+        return (this.settings.recentStorage || defaultStorage).get().slice(0, max);
+    }
+    _addRecent() {
+        const max = this.settings.recentColors;
+        if(!max) { return; }
+
+        const storage = this.settings.recentStorage || defaultStorage,
+              current = this.color.printHex(this.settings.alpha),
+              others = storage.get().filter(color => {
+                  try {
+                      return !this._isCurrentColor(new Color(color).hex);
+                  }
+                  catch (ex) {
+                      return false;
+                  }
+              });
+
+        //Don't cut the list short for other pickers which show more recent colors:
+        storage.set([current].concat(others).slice(0, Math.max(max, others.length)));
+        this._renderSwatches();
+    }
+
+
+    /*
+     * Draw the sRGB colors of an OKLCH hue on the SL panel
+     * (chroma horizontally, lightness vertically, and transparent where the colors are out of gamut).
+     *
+     * @private
+     */
+    _drawGamut(hue) {
+        let canvas = this._domGamut;
+        if(!canvas) {
+            canvas = this._domGamut = document.createElement('canvas');
+            canvas.className = 'picker_gamut';
+            canvas.width = canvas.height = GAMUT_SIZE;
+            this._domSL.insertBefore(canvas, this._domSL.firstChild);
+        }
+        if(hue === this._gamutHue) { return; }
+
+        const ctx = canvas.getContext && canvas.getContext('2d');
+        if(!ctx) { return; }
+        this._gamutHue = hue;
+
+        const image = ctx.createImageData(GAMUT_SIZE, GAMUT_SIZE),
+              data = image.data;
+        for(let y = 0; y < GAMUT_SIZE; y++) {
+            const l = 1 - (y + .5) / GAMUT_SIZE;
+
+            for(let x = 0; x < GAMUT_SIZE; x++) {
+                const c = (x + .5) / GAMUT_SIZE * OKLCH_MAX_CHROMA,
+                      mapped = Color.oklchToRgb([l, c, hue, 1]),
+                      i = (y * GAMUT_SIZE + x) * 4;
+
+                //Gamut mapping reduced the chroma:
+                if(mapped.oklch[1] < c) { continue; }
+
+                data[i]     = mapped.rgba[0];
+                data[i + 1] = mapped.rgba[1];
+                data[i + 2] = mapped.rgba[2];
+                data[i + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+
     _ifPopup(actionIf, actionElse) {
         if(this.settings.parent && this.settings.popup) {
             actionIf && actionIf(this.settings.popup);
@@ -650,18 +2072,90 @@ const flipped = true;
 */
 }
 
-/* Inject the default CSS (if we're not building for strict CSP settings)  */
-if ('## PLACEHOLDER-CSS-SECTION ##') {
+/* The default CSS (empty if we're building for strict CSP settings, where the page links to the CSS file instead) */
+const CSS = '## PLACEHOLDER-CSS-SECTION ##' ? `## PLACEHOLDER-CSS ##` : '';
+
+/**
+ * The `<style>` element for picker CSS which is added to the document (when the first picker is shown).
+ */
+Picker.StyleElement = null;
+
+/**
+ * Add the picker CSS to a document or shadow root, unless it's already there.
+ * Pickers do this themselves when they are shown (@see {@linkcode Picker#setOptions|setOptions()} `injectStyle`),
+ * so this is only needed to style things like the `<color-picker>` button before that.
+ *
+ * @param {(Document|ShadowRoot)} [root=document]
+ * @param {Object}  [options]
+ * @param {boolean} [options.adopt] - Use a constructable stylesheet (`root.adoptedStyleSheets`) instead of a `<style>` element, if the browser supports it.
+ * @param {string}  [options.nonce] - The CSP nonce for the `<style>` element.
+ */
+Picker.injectStyle = function(root, options) {
+    root = root || document;
+    options = options || {};
+    if(!CSS || styledRoots.has(root)) { return; }
+    styledRoots.add(root);
+
+    //One constructable stylesheet can be shared by all documents and shadow roots:
+    if(options.adopt && root.adoptedStyleSheets) {
+        if(!styleSheet) {
+            styleSheet = new CSSStyleSheet();
+            styleSheet.replaceSync(CSS);
+        }
+        root.adoptedStyleSheets = root.adoptedStyleSheets.concat(styleSheet);
+        return;
+    }
+
     const style = document.createElement('style');
-    style.textContent = `## PLACEHOLDER-CSS ##`;
-    document.documentElement.firstElementChild //<head>, or <body> if there is no <head>
-        .appendChild(style);
+    style.textContent = CSS;
+    if(options.nonce) { style.setAttribute('nonce', options.nonce); }
 
-    /**
-     * The `<style>` element for picker CSS which is added to the document.
-     */
-    Picker.StyleElement = style;
-}
+    if(root.nodeType === Node.DOCUMENT_NODE) {
+        root.documentElement.firstElementChild //<head>, or <body> if there is no <head>
+            .appendChild(style);
+        if(root === document) { Picker.StyleElement = style; }
+    }
+    else {
+        //First, so the shadow root's own styles can override the picker's:
+        root.insertBefore(style, root.firstChild);
+    }
+};
+
+/**
+ * Add a format for the editor (@see {@linkcode Picker#setOptions|setOptions()} `editorFormat` and `editorFormats`), or replace a built-in one.
+ *
+ * @example
+ * Picker.addFormat('rgb01', {
+ *     label: 'RGB 0-1',
+ *     print: (color, alpha) => color.rgba.map((x, i) => (i < 3) ? x / 255 : x).slice(0, alpha ? 4 : 3).join(', '),
+ *     parse: (str) => /^[\d.]+, [\d.]+, [\d.]+/.test(str) && str.split(', ').map((x, i) => (i < 3) ? x * 255 : +x),
+ * });
+ *
+ * @param {string}   name
+ * @param {Object}   format
+ * @param {function} format.print   - `print(color, alpha)`: Returns the color as a string, with alpha if `alpha` is true.
+ * @param {function} [format.parse] - `parse(string)`: If the editor's text is in this format, convert it to a color the picker understands
+ *                                    (like a color string or an RGBA array), otherwise return `null`.
+ *                                    This is tried before the built-in parsing, as that may read the text differently (e.g. `0.5, 0.5, 0.5` above).
+ *                                    So return `null` for anything which isn't clearly in your format.
+ * @param {string}   [format.label] - The text on the button which switches formats. The name by default.
+ */
+Picker.addFormat = function(name, format) {
+    FORMATS[name] = {
+        label: format.label || name,
+        print: format.print,
+        parse: format.parse,
+    };
+};
+
+/**
+ * Storage for recent colors in memory. @see {@linkcode Picker#setOptions|setOptions()}
+ */
+Picker.MemoryStorage = MemoryStorage;
+/**
+ * Storage for recent colors in `localStorage`. @see {@linkcode Picker#setOptions|setOptions()}
+ */
+Picker.LocalStorage = LocalStorage;
 
 
 export default Picker;
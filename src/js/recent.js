@@ -0,0 +1,61 @@
+/*
+ * Storage adapters for the recent colors.
+ * An adapter is any object with `get()`, which returns an array of color strings, and `set(colors)`.
+ */
+
+
+/**
+ * Keeps the recent colors in memory. Pickers which use the same instance share their recent colors.
+ */
+class MemoryStorage {
+    constructor() {
+        this._colors = [];
+    }
+
+    get() {
+        return this._colors.slice();
+    }
+
+    set(colors) {
+        this._colors = colors.slice();
+    }
+}
+
+
+/**
+ * Keeps the recent colors in `localStorage`, so they are remembered between page loads.
+ */
+class LocalStorage {
+    /**
+     * @param {string} [key=vanilla-picker-recent] - The `localStorage` key to use.
+     */
+    constructor(key) {
+        this.key = key || 'vanilla-picker-recent';
+    }
+
+    get() {
+        try {
+            const colors = JSON.parse(localStorage.getItem(this.key));
+            return Array.isArray(colors) ? colors : [];
+        }
+        catch (ex) {
+            return [];
+        }
+    }
+
+    set(colors) {
+        try {
+            localStorage.setItem(this.key, JSON.stringify(colors));
+        }
+        catch (ex) {
+            //Storage is full or disabled (e.g. in private browsing). Not worth breaking the picker over.
+        }
+    }
+}
+
+
+//Used by all pickers which don't have their own `recentStorage`:
+const defaultStorage = new MemoryStorage();
+
+
+export { MemoryStorage, LocalStorage, defaultStorage };
@@ -9,6 +9,8 @@ class EventBucket {
             target,
             type,
             handler,
+            //Needed to remove capturing listeners:
+            capture: !!(options && options.capture),
         });
     }
     
@@ -20,17 +22,17 @@ class EventBucket {
             if(handler && (handler !== e.handler)) { isMatch = false; }
 
             if(isMatch) {
-                EventBucket._doRemove(e.target, e.type, e.handler);
+                EventBucket._doRemove(e);
             }
             return !isMatch;
         });
     }
-    static _doRemove(target, type, handler) {
-        target.removeEventListener(type, handler, false);
+    static _doRemove(e) {
+        e.target.removeEventListener(e.type, e.handler, e.capture);
     }
     
     destroy() {
-        this._events.forEach(e => EventBucket._doRemove(e.target, e.type, e.handler));
+        this._events.forEach(e => EventBucket._doRemove(e));
         this._events = [];
     }
 }
@@ -42,66 +44,135 @@ function parseHTML(htmlString) {
     return div.firstElementChild;
 }
 
-function dragTrack(eventBucket, area, callback) {
-    var dragging = false;
+//The part of the viewport where `elm` can be seen, i.e. not hidden by the overflow of any scrolling ancestors:
+function visibleBounds(elm) {
+    var root = document.documentElement,
+        bounds = { left: 0, top: 0, right: root.clientWidth, bottom: root.clientHeight };
 
-    function clamp(val, min, max) {
-        return Math.max(min, Math.min(val, max));
+    for (var el = elm.parentElement; el && (el !== document.body) && (el !== root); el = el.parentElement) {
+        var style = getComputedStyle(el);
+        if (/auto|scroll|hidden|clip/.test(style.overflow + style.overflowX + style.overflowY)) {
+            var rect = el.getBoundingClientRect();
+            bounds = {
+                left:   Math.max(bounds.left,   rect.left),
+                top:    Math.max(bounds.top,    rect.top),
+                right:  Math.min(bounds.right,  rect.right),
+                bottom: Math.min(bounds.bottom, rect.bottom),
+            };
+        }
     }
+    return bounds;
+}
 
-    function onMove(e, info, starting) {
-        if (starting) { dragging = true; }
-        if (!dragging) { return; }
+//Calls `callback(x, y, starting)` when the user drags on `area`, with coordinates relative to the area's size
+//(or `callback(angle, radius, starting)` if `polar`). `starting` is true for the first call of each drag.
+//The angle is clockwise from 12 o'clock (between 0 and 1), and the radius is relative to the area's size (1 at the edge, and more outside).
+//If the first call of a drag returns `false`, the press is ignored and there is no drag.
+//`onEnd()` (optional) is called when the drag is over.
+//
+//Works the same with a mouse, touch or a pen, through Pointer Events. The area captures the pointer during a drag,
+//so we get its moves even outside the area (or the window) without listening on the whole window.
+//The area should have `touch-action: none`, so touch drags don't scroll the page instead.
+function dragTrack(eventBucket, area, callback, polar, onEnd) {
+    //The pointer which is dragging, if any:
+    var pointerId = null;
 
-        e.preventDefault();
+    function clamp(val, min, max) {
+        return Math.max(min, Math.min(val, max));
+    }
 
+    function track(e, starting) {
         var bounds = area.getBoundingClientRect(),
             w = bounds.width,
             h = bounds.height,
-            x = info.clientX,
-            y = info.clientY;
+            x = e.clientX,
+            y = e.clientY;
+
+        if (polar) {
+            //Position relative to the center, between -1 and 1 inside the area:
+            var dx = (x - bounds.left) / w * 2 - 1,
+                dy = (y - bounds.top) / h * 2 - 1;
+
+            var angle = Math.atan2(dx, -dy) / (2 * Math.PI);
+            if (angle < 0) { angle += 1; }
+
+            return callback(angle, Math.sqrt(dx * dx + dy * dy), starting);
+        }
 
         var relX = clamp(x - bounds.left, 0, w),
             relY = clamp(y - bounds.top, 0, h);
 
-        callback(relX / w, relY / h);
+        return callback(relX / w, relY / h, starting);
     }
 
-    function onMouse(e, starting) {
-        var button = (e.buttons === undefined) ? e.which : e.buttons;
-        if (button === 1) {
-            onMove(e, e, starting);
-        }
-        //`mouseup` outside of window:
-        else {
-            dragging = false;
-        }
+    function onDown(e) {
+        //Only one pointer at a time, and only the main mouse button (touch and pen contacts are "button 0" as well):
+        if ((pointerId !== null) || !e.isPrimary || (e.button !== 0)) { return; }
+        if (track(e, true) === false) { return; }
+
+        //We don't need the mouse events which would follow:
+        e.preventDefault();
+
+        pointerId = e.pointerId;
+        if (area.setPointerCapture) { area.setPointerCapture(pointerId); }
+
+        //Only listen for moves during the drag, so pages with many pickers don't pile up listeners:
+        eventBucket.add(area, 'pointermove',        onMove, { passive: false });
+        eventBucket.add(area, 'pointerup',          onUp,   { passive: true });
+        eventBucket.add(area, 'pointercancel',      onUp,   { passive: true });
+        eventBucket.add(area, 'lostpointercapture', onUp,   { passive: true });
     }
 
-    function onTouch(e, starting) {
-        if (e.touches.length === 1) {
-            onMove(e, e.touches[0], starting);
-        }
-        //Don't interfere with pinch-to-zoom etc:
-        else {
-            dragging = false;
-        }
+    function onMove(e) {
+        if (e.pointerId !== pointerId) { return; }
+
+        e.preventDefault();
+        track(e, false);
+    }
+
+    function onUp(e) {
+        if (e.pointerId !== pointerId) { return; }
+
+        pointerId = null;
+        eventBucket.remove(area, 'pointermove', onMove);
+        ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(function(type) {
+            eventBucket.remove(area, type, onUp);
+        });
+        if (onEnd) { onEnd(); }
     }
 
-    //Notice how we must listen on the whole window to really keep track of mouse movements,
-    //while touch movements "stick" to the original target from `touchstart` (which works well for our purposes here):
-    //
-    //  https://stackoverflow.com/a/51750458/1869660
-    //  "Mouse moves = *hover* like behavior. Touch moves = *drags* like behavior"
-    //
-    eventBucket.add(area,   'mousedown',   function(e) { onMouse(e, true); }, { passive: false });
-    eventBucket.add(area,   'touchstart',  function(e) { onTouch(e, true); }, { passive: false });
-    eventBucket.add(window, 'mousemove',   onMouse, { passive: false });
-    eventBucket.add(area,   'touchmove',   onTouch, { passive: false });
-    eventBucket.add(window, 'mouseup',     function(e) { dragging = false; }, { passive: true });
-    eventBucket.add(area,   'touchend',    function(e) { dragging = false; }, { passive: true });
-    eventBucket.add(area,   'touchcancel', function(e) { dragging = false; }, { passive: true });
+    eventBucket.add(area, 'pointerdown', onDown, { passive: false });
+}
+
+
+//Calls `callback(dx, dy)` when the user presses a navigation key on `area`:
+//Arrow keys move .01 (or .1 with Shift), PageUp/PageDown move .1 vertically, and Home/End move all the way (-1/1) horizontally.
+//Up is positive.
+function keyTrack(eventBucket, area, callback) {
+    var small = .01,
+        big = .1;
+
+    eventBucket.add(area, 'keydown', function(e) {
+        var step = e.shiftKey ? big : small,
+            delta;
+
+        switch (e.key) {
+            case 'ArrowLeft':  case 'Left':  delta = [-step, 0]; break;
+            case 'ArrowRight': case 'Right': delta = [ step, 0]; break;
+            case 'ArrowUp':    case 'Up':    delta = [0,  step]; break;
+            case 'ArrowDown':  case 'Down':  delta = [0, -step]; break;
+            case 'PageUp':   delta = [0,  big]; break;
+            case 'PageDown': delta = [0, -big]; break;
+            case 'Home': delta = [-1, 0]; break;
+            case 'End':  delta = [ 1, 0]; break;
+            default: return;
+        }
+
+        //Don't scroll the page:
+        e.preventDefault();
+        callback(delta[0], delta[1]);
+    }, { passive: false });
 }
 
 
-export { EventBucket, parseHTML, dragTrack };
+export { EventBucket, parseHTML, visibleBounds, dragTrack, keyTrack };